@@ -0,0 +1,135 @@
+// Hotel-level settings, read from the environment with sensible defaults
+
+// Parse a numeric environment variable, falling back when it is unset or invalid
+const numberFromEnv = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+};
+
+// Parse a JSON environment variable, falling back when it is unset or malformed
+const jsonFromEnv = (name, fallback) => {
+    if (!process.env[name]) return fallback;
+    try {
+        return JSON.parse(process.env[name]);
+    } catch (error) {
+        console.warn(`Ignoring invalid JSON in ${name}:`, error.message);
+        return fallback;
+    }
+};
+
+module.exports = {
+    // Pricing modes: how long one billable unit is and the minimum units charged.
+    // Booking rent is the rate per unit of the booking's pricing mode.
+    pricingModes: {
+        'nightly': {
+            unitHours: 24,
+            minUnits: numberFromEnv('NIGHTLY_MIN_NIGHTS', 1)
+        },
+        'hourly': {
+            unitHours: 1,
+            minUnits: numberFromEnv('HOURLY_MIN_HOURS', 3)
+        },
+        'day-use': {
+            unitHours: numberFromEnv('DAY_USE_BLOCK_HOURS', 12),
+            minUnits: 1
+        }
+    },
+
+    // Standard check-in/check-out times (HH:mm, server local time). Nights are counted
+    // against these; arrivals and departures outside them within maxHours are charged
+    // percentOfRent of one night, beyond maxHours they count as an extra night.
+    stayTimes: {
+        checkInTime: process.env.HOTEL_CHECK_IN_TIME || '12:00',
+        checkOutTime: process.env.HOTEL_CHECK_OUT_TIME || '11:00',
+        earlyCheckIn: {
+            graceMinutes: numberFromEnv('EARLY_CHECK_IN_GRACE_MINUTES', 30),
+            maxHours: numberFromEnv('EARLY_CHECK_IN_MAX_HOURS', 6),
+            percentOfRent: numberFromEnv('EARLY_CHECK_IN_PERCENT', 50)
+        },
+        lateCheckOut: {
+            graceMinutes: numberFromEnv('LATE_CHECK_OUT_GRACE_MINUTES', 30),
+            maxHours: numberFromEnv('LATE_CHECK_OUT_MAX_HOURS', 6),
+            percentOfRent: numberFromEnv('LATE_CHECK_OUT_PERCENT', 50)
+        }
+    },
+
+    // Supplier details printed on tax invoices. The state code defaults to the
+    // first two digits of the GSTIN.
+    business: {
+        legalName: process.env.HOTEL_LEGAL_NAME || 'TipTop Hotel',
+        address: process.env.HOTEL_ADDRESS || '',
+        gstin: (process.env.HOTEL_GSTIN || '').toUpperCase(),
+        stateCode: process.env.HOTEL_STATE_CODE || (process.env.HOTEL_GSTIN || '').slice(0, 2)
+    },
+
+    // GST on accommodation (SAC 9963). The slab is chosen by the tariff per night:
+    // the first slab whose maxTariff covers it applies; a null maxTariff has no limit.
+    gst: {
+        sacCode: process.env.GST_SAC_CODE || '996311',
+        slabs: jsonFromEnv('GST_SLABS', [
+            { maxTariff: 1000, rate: 0 },
+            { maxTariff: 7500, rate: 5 },
+            { maxTariff: null, rate: 18 }
+        ]),
+        // Default GST rate (%) per folio charge category
+        chargeRates: jsonFromEnv('GST_CHARGE_RATES', {
+            'food': 5,
+            'laundry': 18,
+            'extra-bed': 5,
+            'minibar': 18,
+            'other': 18
+        }),
+        chargeSacCodes: {
+            'food': '996331',
+            'laundry': '999712',
+            'extra-bed': '996311',
+            'minibar': '996331',
+            'other': '999799'
+        },
+        invoicePrefix: process.env.INVOICE_PREFIX || 'INV',
+        creditNotePrefix: process.env.CREDIT_NOTE_PREFIX || 'CN'
+    },
+
+    // Online payment gateway. apiUrl can point at a local stub server for testing.
+    paymentGateway: {
+        provider: process.env.PAYMENT_GATEWAY || 'razorpay',
+        apiUrl: process.env.PAYMENT_GATEWAY_API_URL || 'https://api.razorpay.com/v1',
+        keyId: process.env.PAYMENT_GATEWAY_KEY_ID || '',
+        keySecret: process.env.PAYMENT_GATEWAY_KEY_SECRET || '',
+        webhookSecret: process.env.PAYMENT_GATEWAY_WEBHOOK_SECRET || '',
+        currency: process.env.PAYMENT_GATEWAY_CURRENCY || 'INR'
+    },
+
+    // Loyalty programme. A checked-out stay earns pointsPerHundred points per 100 of its
+    // totalAmount, times the guest's tier earnMultiplier; a point redeems for pointValue.
+    // Tiers go by completed visits, archived ones included: the first tier whose
+    // minVisits is met applies.
+    loyalty: {
+        pointsPerHundred: numberFromEnv('LOYALTY_POINTS_PER_100', 1),
+        pointValue: numberFromEnv('LOYALTY_POINT_VALUE', 1),
+        minRedeemPoints: numberFromEnv('LOYALTY_MIN_REDEEM_POINTS', 100),
+        tiers: jsonFromEnv('LOYALTY_TIERS', [
+            { name: 'gold', minVisits: 10, earnMultiplier: 1.5 },
+            { name: 'silver', minVisits: 5, earnMultiplier: 1.25 }
+        ])
+    },
+
+    // Aadhaar numbers are stored encrypted, with a keyed hash for exact lookups. Both
+    // keys are 32 bytes written as 64 hex characters. Only revealRoles may see a full
+    // number, and every reveal is logged.
+    aadhaar: {
+        encryptionKey: process.env.AADHAAR_ENCRYPTION_KEY || '',
+        hashKey: process.env.AADHAAR_HASH_KEY || '',
+        revealRoles: (process.env.AADHAAR_REVEAL_ROLES || 'admin').split(',').map(role => role.trim()).filter(Boolean)
+    },
+
+    // Refunds above this amount must be given by a manager or admin
+    refundApprovalThreshold: numberFromEnv('REFUND_APPROVAL_THRESHOLD', 5000),
+
+    // Cancellation policy: the first rule whose minHoursBeforeCheckIn is met applies.
+    // chargeNights is the number of nights of rent charged as the cancellation fee.
+    cancellationPolicy: jsonFromEnv('CANCELLATION_POLICY', [
+        { minHoursBeforeCheckIn: numberFromEnv('FREE_CANCELLATION_HOURS', 24), chargeNights: 0 },
+        { minHoursBeforeCheckIn: -Infinity, chargeNights: numberFromEnv('LATE_CANCELLATION_NIGHTS', 1) }
+    ])
+};
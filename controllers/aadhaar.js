@@ -0,0 +1,112 @@
+const { validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const Guest = require('../models/Guest');
+const AadhaarReveal = require('../models/AadhaarReveal');
+const { sendResponse } = require('../utils/helpers');
+
+// Record who saw full Aadhaar numbers, where and why
+const logReveal = (req, { booking = null, guest = null, count }) => AadhaarReveal.create({
+    user: req.user._id,
+    role: req.user.role,
+    booking,
+    guest,
+    count,
+    reason: req.body.reason,
+    ip: req.ip
+});
+
+// @desc    Reveal the full Aadhaar numbers on a booking
+// @route   POST /api/bookings/:id/aadhaar/reveal
+// @access  Private (AADHAAR_REVEAL_ROLES only)
+exports.revealBookingAadhaar = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const booking = await Booking.findById(req.params.id).select('entryNo customerName customerAadhaar additionalGuests');
+
+        if (!booking) {
+            return sendResponse(res, 404, false, 'Booking not found');
+        }
+
+        // Getters give the decrypted numbers
+        const additionalGuests = booking.additionalGuests
+            .filter(guest => guest.aadhaar)
+            .map(guest => ({ _id: guest._id, name: guest.name, aadhaar: guest.aadhaar }));
+
+        await logReveal(req, { booking: booking._id, count: 1 + additionalGuests.length });
+
+        sendResponse(res, 200, true, 'Aadhaar numbers revealed', {
+            booking: {
+                _id: booking._id,
+                entryNo: booking.entryNo,
+                customerName: booking.customerName,
+                customerAadhaar: booking.customerAadhaar,
+                additionalGuests
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Reveal a guest profile's full Aadhaar number
+// @route   POST /api/guests/:id/aadhaar/reveal
+// @access  Private (AADHAAR_REVEAL_ROLES only)
+exports.revealGuestAadhaar = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const guest = await Guest.findById(req.params.id).select('name aadhaar');
+
+        if (!guest) {
+            return sendResponse(res, 404, false, 'Guest not found');
+        }
+        if (!guest.aadhaar) {
+            return sendResponse(res, 404, false, 'Guest has no Aadhaar number on record');
+        }
+
+        await logReveal(req, { guest: guest._id, count: 1 });
+
+        sendResponse(res, 200, true, 'Aadhaar number revealed', {
+            guest: { _id: guest._id, name: guest.name, aadhaar: guest.aadhaar }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get the Aadhaar reveal audit log
+// @route   GET /api/guests/aadhaar-reveals
+// @access  Private (Admin only)
+exports.getAadhaarReveals = async (req, res, next) => {
+    try {
+        const { user, booking, guest, from, to } = req.query;
+
+        const query = {};
+        if (user) query.user = user;
+        if (booking) query.booking = booking;
+        if (guest) query.guest = guest;
+        if (from || to) {
+            query.revealedAt = {};
+            if (from) query.revealedAt.$gte = new Date(from);
+            if (to) query.revealedAt.$lte = new Date(to);
+        }
+
+        const reveals = await AadhaarReveal.find(query)
+            .populate('user', 'username role')
+            .populate('booking', 'entryNo customerName')
+            .populate('guest', 'name')
+            .sort({ revealedAt: -1 })
+            .limit(Math.min(parseInt(req.query.limit) || 100, 500));
+
+        sendResponse(res, 200, true, 'Aadhaar reveals retrieved successfully', { reveals, count: reveals.length });
+    } catch (error) {
+        next(error);
+    }
+};
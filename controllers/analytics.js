@@ -1,6 +1,136 @@
 const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const DayClose = require('../models/DayClose');
+const Guest = require('../models/Guest');
 const CustomerSummary = require('../models/CustomerSummary');
+const nightAudit = require('../services/nightAudit');
 const { sendResponse, getTwoYearsDateRange } = require('../utils/helpers');
+const { maskAadhaarFields } = require('../utils/aadhaar');
+
+// Bookings where the guest actually stayed (excludes reservations, no-shows and cancellations)
+const STAY_STATUSES = ['checked-in', 'checked-out'];
+
+// Pricing mode of a booking, treating bookings from before pricing modes as nightly
+const PRICING_MODE_EXPR = { $ifNull: ['$pricingMode', 'nightly'] };
+
+// Stay duration in milliseconds
+const STAY_DURATION_EXPR = { $subtract: ['$checkOut', '$checkIn'] };
+
+// Nights billed for a nightly stay, falling back to raw duration for older bookings
+const NIGHTS_EXPR = {
+    $ifNull: ['$billableUnits', { $ceil: { $divide: [STAY_DURATION_EXPR, 86400000] } }]
+};
+
+// Bill before discount, for bookings from before discounts were recorded too
+const GROSS_AMOUNT_EXPR = { $ifNull: ['$grossAmount', '$totalAmount'] };
+
+// Discount given on a booking (the whole bill for complimentary stays)
+const DISCOUNT_EXPR = { $ifNull: ['$discount.amount', 0] };
+
+const COMPLIMENTARY_EXPR = { $cond: [{ $eq: ['$discount.kind', 'complimentary'] }, 1, 0] };
+
+// Bookings that can still owe money: completed stays, and cancellations with a fee
+const RECEIVABLE_STATUSES = ['checked-out', 'cancelled'];
+
+// Receivables aging buckets by days since the balance fell due
+const AGING_BUCKETS = [
+    { label: '0-30', maxDays: 30 },
+    { label: '31-60', maxDays: 60 },
+    { label: '61-90', maxDays: 90 },
+    { label: '90+', maxDays: null }
+];
+
+// A stay's balance falls due at checkout; a cancellation fee when it was cancelled
+const DUE_SINCE_EXPR = {
+    $cond: [
+        { $eq: ['$status', 'cancelled'] },
+        { $ifNull: ['$cancellation.cancelledAt', '$updatedAt'] },
+        { $ifNull: ['$checkOut', '$updatedAt'] }
+    ]
+};
+
+// Group key for revenue periods (day, month or year) on the given date field
+const buildPeriodGroupId = (period, dateField) => {
+    if (period === 'day') {
+        return {
+            year: { $year: dateField },
+            month: { $month: dateField },
+            day: { $dayOfMonth: dateField }
+        };
+    }
+    if (period === 'month') {
+        return {
+            year: { $year: dateField },
+            month: { $month: dateField }
+        };
+    }
+    return {
+        year: { $year: dateField }
+    };
+};
+
+// Bookings with an unpaid balance, each placed in an aging bucket as of the given date.
+// Bookings invoiced to a company (a recipient GSTIN) carry the company's name and GSTIN.
+const buildReceivables = async (asOf) => {
+    const rows = await Booking.aggregate([
+        { $match: { status: { $in: RECEIVABLE_STATUSES }, balanceDue: { $gt: 0 } } },
+        { $addFields: { dueSince: DUE_SINCE_EXPR } },
+        {
+            $addFields: {
+                ageDays: {
+                    $max: [0, { $floor: { $divide: [{ $subtract: [asOf, '$dueSince'] }, 86400000] } }]
+                }
+            }
+        },
+        {
+            $lookup: {
+                from: 'invoices',
+                localField: 'invoice',
+                foreignField: '_id',
+                as: 'invoiceDoc'
+            }
+        },
+        { $unwind: { path: '$invoiceDoc', preserveNullAndEmptyArrays: true } },
+        {
+            $project: {
+                _id: 0,
+                booking: '$_id',
+                entryNo: 1,
+                customerName: 1,
+                customerMobile: 1,
+                room: 1,
+                status: 1,
+                checkOut: { $ifNull: ['$checkOut', null] },
+                dueSince: 1,
+                ageDays: 1,
+                invoiceNumber: { $ifNull: ['$invoiceDoc.number', null] },
+                company: {
+                    $cond: [{ $ifNull: ['$invoiceDoc.recipient.gstin', false] }, '$invoiceDoc.recipient.name', null]
+                },
+                companyGstin: { $ifNull: ['$invoiceDoc.recipient.gstin', null] },
+                amountPaid: 1,
+                balanceDue: 1
+            }
+        },
+        { $sort: { ageDays: -1 } }
+    ]);
+
+    return rows.map(row => ({
+        ...row,
+        bucket: AGING_BUCKETS.find(bucket => bucket.maxDays === null || row.ageDays <= bucket.maxDays).label
+    }));
+};
+
+// Add a receivable row to a bucket totals object
+const addToBuckets = (totals, row) => {
+    totals[row.bucket] = Math.round((totals[row.bucket] + row.balanceDue) * 100) / 100;
+    totals.total = Math.round((totals.total + row.balanceDue) * 100) / 100;
+};
+
+const emptyBuckets = () => AGING_BUCKETS.reduce(
+    (totals, bucket) => ({ ...totals, [bucket.label]: 0 }),
+    { total: 0 }
+);
 
 // @desc    Get dashboard statistics - Optimized for large datasets
 // @route   GET /api/analytics/dashboard
@@ -11,6 +141,14 @@ exports.getDashboardStats = async (req, res, next) => {
         const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
         const endOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate(), 23, 59, 59);
 
+        // Days closed by the night audit report the figures stored when they were closed;
+        // only stays arriving and cancellations made outside that period are counted live.
+        // Today is never closed, so today's figures are always live.
+        const closedPeriod = await nightAudit.closedPeriod();
+        const outsideClosedPeriod = (field) => (closedPeriod
+            ? { $or: [{ [field]: { $lt: closedPeriod.start } }, { [field]: { $gte: closedPeriod.end } }] }
+            : {});
+
         // Use single aggregation pipeline for better performance on large datasets
         const dashboardStats = await Booking.aggregate([
             {
@@ -19,11 +157,11 @@ exports.getDashboardStats = async (req, res, next) => {
                     totalBookings: [
                         { $count: "total" }
                     ],
-                    // Today's revenue from bookings created today
+                    // Today's revenue from stays arriving today
                     todayRevenue: [
                         {
                             $match: {
-                                createdAt: {
+                                checkIn: {
                                     $gte: startOfToday,
                                     $lte: endOfToday
                                 },
@@ -34,7 +172,7 @@ exports.getDashboardStats = async (req, res, next) => {
                         {
                             $group: {
                                 _id: null,
-                                todayRevenue: { $sum: '$rent' }
+                                todayRevenue: { $sum: '$totalAmount' }
                             }
                         }
                     ],
@@ -47,18 +185,67 @@ exports.getDashboardStats = async (req, res, next) => {
                         },
                         { $count: "total" }
                     ],
-                    // Total revenue from all completed bookings
+                    // Total revenue (net of discounts) from completed bookings arriving outside closed days
                     totalRevenue: [
                         {
                             $match: {
                                 status: { $in: ['checked-out', 'checked-in'] },
-                                rent: { $exists: true, $ne: null, $type: "number" }
+                                rent: { $exists: true, $ne: null, $type: "number" },
+                                ...outsideClosedPeriod('checkIn')
+                            }
+                        },
+                        {
+                            $group: {
+                                _id: null,
+                                totalRevenue: { $sum: '$totalAmount' },
+                                totalDiscounts: { $sum: DISCOUNT_EXPR },
+                                complimentaryStays: { $sum: COMPLIMENTARY_EXPR }
+                            }
+                        }
+                    ],
+                    // Cancellation fees are revenue kept from cancelled bookings
+                    cancellationFees: [
+                        {
+                            $match: {
+                                status: 'cancelled',
+                                'cancellation.fee': { $gt: 0 },
+                                ...outsideClosedPeriod('cancellation.cancelledAt')
+                            }
+                        },
+                        {
+                            $group: {
+                                _id: null,
+                                total: { $sum: '$cancellation.fee' },
+                                today: {
+                                    $sum: {
+                                        $cond: [
+                                            {
+                                                $and: [
+                                                    { $gte: ['$cancellation.cancelledAt', startOfToday] },
+                                                    { $lte: ['$cancellation.cancelledAt', endOfToday] }
+                                                ]
+                                            },
+                                            '$cancellation.fee',
+                                            0
+                                        ]
+                                    }
+                                }
+                            }
+                        }
+                    ],
+                    // Balances still owed on completed stays and cancellation fees
+                    outstandingDues: [
+                        {
+                            $match: {
+                                status: { $in: RECEIVABLE_STATUSES },
+                                balanceDue: { $gt: 0 }
                             }
                         },
                         {
                             $group: {
                                 _id: null,
-                                totalRevenue: { $sum: '$rent' }
+                                total: { $sum: '$balanceDue' },
+                                bookings: { $sum: 1 }
                             }
                         }
                     ],
@@ -87,15 +274,54 @@ exports.getDashboardStats = async (req, res, next) => {
 
         const stats = dashboardStats[0];
 
+        // Totals frozen in the closed days' summaries
+        const [frozen = {}] = closedPeriod ? await DayClose.aggregate([
+            { $match: { businessDate: { $gte: closedPeriod.start, $lt: closedPeriod.end } } },
+            {
+                $group: {
+                    _id: null,
+                    revenue: { $sum: '$arrivalRevenue' },
+                    discounts: { $sum: '$arrivalDiscounts' },
+                    complimentary: { $sum: '$complimentaryArrivals' },
+                    cancellationFees: { $sum: '$cancellationFees' }
+                }
+            }
+        ]) : [];
+
+        // Days closed by the night audit are read from their stored summaries
+        const closedDays = await DayClose.find()
+            .select('businessDate occupancyPercent roomsOccupied roomsAvailable roomRevenue collections.net outstanding overstays')
+            .sort({ businessDate: -1 })
+            .limit(7)
+            .lean();
+
         // Extract results with fallback values and better debugging
         const result = {
             stats: {
                 totalBookings: stats.totalBookings[0]?.total || 0,
                 todayRevenue: stats.todayRevenue[0]?.todayRevenue || 0,
                 activeBookings: stats.activeBookings[0]?.total || 0,
-                totalRevenue: stats.totalRevenue[0]?.totalRevenue || 0
+                totalRevenue: (stats.totalRevenue[0]?.totalRevenue || 0) + (frozen.revenue || 0),
+                totalDiscounts: (stats.totalRevenue[0]?.totalDiscounts || 0) + (frozen.discounts || 0),
+                complimentaryStays: (stats.totalRevenue[0]?.complimentaryStays || 0) + (frozen.complimentary || 0),
+                totalCancellationFees: (stats.cancellationFees[0]?.total || 0) + (frozen.cancellationFees || 0),
+                todayCancellationFees: stats.cancellationFees[0]?.today || 0,
+                outstandingDues: stats.outstandingDues[0]?.total || 0,
+                bookingsWithDues: stats.outstandingDues[0]?.bookings || 0
             },
-            recentCustomers: stats.recentBookings || [] // Named as recentCustomers for frontend compatibility
+            // Aggregates skip the model's toJSON, so Aadhaar numbers are masked here
+            recentCustomers: (stats.recentBookings || []).map(maskAadhaarFields), // Named as recentCustomers for frontend compatibility
+            closedDays: closedDays.map(day => ({
+                businessDate: day.businessDate,
+                occupancyPercent: day.occupancyPercent,
+                roomsOccupied: day.roomsOccupied,
+                roomsAvailable: day.roomsAvailable,
+                roomRevenue: day.roomRevenue,
+                netCollections: day.collections?.net || 0,
+                outstanding: day.outstanding,
+                overstays: day.overstays?.length || 0
+            })),
+            lastClosedDate: closedDays[0]?.businessDate || null
         };
 
         sendResponse(res, 200, true, 'Dashboard statistics retrieved successfully', result);
@@ -112,57 +338,45 @@ exports.getRevenueAnalytics = async (req, res, next) => {
     try {
         const { period = 'month', year, month } = req.query;
 
-        let matchStage = {
-            status: { $ne: 'cancelled' }
-        };
-
         // Add date filtering based on period
+        let dateRange;
         if (period === 'year' && year) {
             const startDate = new Date(year, 0, 1);
             const endDate = new Date(parseInt(year) + 1, 0, 1);
-            matchStage.createdAt = { $gte: startDate, $lt: endDate };
+            dateRange = { $gte: startDate, $lt: endDate };
         } else if (period === 'month' && year && month) {
             const startDate = new Date(year, month - 1, 1);
             const endDate = new Date(year, month, 1);
-            matchStage.createdAt = { $gte: startDate, $lt: endDate };
+            dateRange = { $gte: startDate, $lt: endDate };
         } else {
             // Default to last 12 months
             const startDate = new Date();
             startDate.setFullYear(startDate.getFullYear() - 1);
-            matchStage.createdAt = { $gte: startDate };
+            dateRange = { $gte: startDate };
         }
 
-        // Get revenue by period
-        let groupStage;
-        if (period === 'day') {
-            groupStage = {
-                _id: {
-                    year: { $year: '$createdAt' },
-                    month: { $month: '$createdAt' },
-                    day: { $dayOfMonth: '$createdAt' }
-                }
-            };
-        } else if (period === 'month') {
-            groupStage = {
-                _id: {
-                    year: { $year: '$createdAt' },
-                    month: { $month: '$createdAt' }
-                }
-            };
-        } else {
-            groupStage = {
-                _id: {
-                    year: { $year: '$createdAt' }
-                }
-            };
-        }
+        const matchStage = {
+            status: { $in: STAY_STATUSES },
+            createdAt: dateRange
+        };
 
+        // Cancelled bookings only contribute the fee they were charged, when it was charged
+        const cancellationMatchStage = {
+            status: 'cancelled',
+            'cancellation.fee': { $gt: 0 },
+            'cancellation.cancelledAt': dateRange
+        };
+
+        // Get revenue by period
         const revenueData = await Booking.aggregate([
             { $match: matchStage },
             {
                 $group: {
-                    ...groupStage,
+                    _id: buildPeriodGroupId(period, '$createdAt'),
                     totalRevenue: { $sum: '$totalAmount' },
+                    grossRevenue: { $sum: GROSS_AMOUNT_EXPR },
+                    discounts: { $sum: DISCOUNT_EXPR },
+                    complimentaryStays: { $sum: COMPLIMENTARY_EXPR },
                     totalBookings: { $sum: 1 },
                     averageRate: { $avg: '$rent' }
                 }
@@ -183,9 +397,73 @@ exports.getRevenueAnalytics = async (req, res, next) => {
             { $sort: { totalRevenue: -1 } }
         ]);
 
+        // Room revenue against folio extras per charge category, before discounts; the
+        // discount row brings the categories back to net revenue
+        const [roomRevenue] = await Booking.aggregate([
+            { $match: matchStage },
+            {
+                $group: {
+                    _id: null,
+                    amount: { $sum: { $subtract: [GROSS_AMOUNT_EXPR, { $ifNull: ['$extrasAmount', 0] }] } },
+                    discounts: { $sum: DISCOUNT_EXPR },
+                    count: { $sum: 1 }
+                }
+            }
+        ]);
+        const chargeRevenue = await Booking.aggregate([
+            { $match: { ...matchStage, 'charges.0': { $exists: true } } },
+            { $unwind: '$charges' },
+            { $match: { 'charges.voided': false } },
+            {
+                $group: {
+                    _id: '$charges.category',
+                    amount: { $sum: '$charges.amount' },
+                    count: { $sum: 1 }
+                }
+            },
+            { $sort: { amount: -1 } }
+        ]);
+        const revenueByCategory = [
+            { _id: 'room', amount: roomRevenue ? roomRevenue.amount : 0, count: roomRevenue ? roomRevenue.count : 0 },
+            ...chargeRevenue,
+            { _id: 'discount', amount: roomRevenue ? -roomRevenue.discounts : 0 }
+        ];
+
+        // Cancellation fees reported separately from room revenue
+        const cancellationFees = await Booking.aggregate([
+            { $match: cancellationMatchStage },
+            {
+                $group: {
+                    _id: buildPeriodGroupId(period, '$cancellation.cancelledAt'),
+                    totalFees: { $sum: '$cancellation.fee' },
+                    cancellations: { $sum: 1 }
+                }
+            },
+            { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
+        ]);
+
+        // Money actually collected, net of refunds, by when it changed hands
+        const collections = await Payment.aggregate([
+            { $match: { voided: false, receivedAt: dateRange } },
+            {
+                $group: {
+                    _id: buildPeriodGroupId(period, '$receivedAt'),
+                    collected: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, 0, '$amount'] } },
+                    deposits: { $sum: { $cond: [{ $eq: ['$type', 'deposit'] }, '$amount', 0] } },
+                    refunds: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, '$amount', 0] } },
+                    netCollections: { $sum: Payment.SIGNED_AMOUNT_EXPR }
+                }
+            },
+            { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
+        ]);
+
         sendResponse(res, 200, true, 'Revenue analytics retrieved successfully', {
             revenueData,
-            revenueByRate
+            revenueByRate,
+            revenueByCategory,
+            cancellationFees,
+            collections,
+            totalNetCollections: collections.reduce((sum, row) => sum + row.netCollections, 0)
         });
     } catch (error) {
         next(error);
@@ -201,7 +479,7 @@ exports.getCustomerAnalytics = async (req, res, next) => {
 
         // New vs returning customers
         const customerTypes = await Booking.aggregate([
-            { $match: { createdAt: { $gte: startDate } } },
+            { $match: { createdAt: { $gte: startDate }, customer: { $ne: null } } },
             {
                 $lookup: {
                     from: 'bookings',
@@ -227,29 +505,47 @@ exports.getCustomerAnalytics = async (req, res, next) => {
             }
         ]);
 
+        // Visits and revenue per guest profile, from the stays they paid for
+        const guestStats = [
+            { $match: { customer: { $ne: null }, status: { $in: STAY_STATUSES } } },
+            { $group: { _id: '$customer', visits: { $sum: 1 }, revenue: { $sum: '$totalAmount' } } },
+            { $lookup: { from: 'guests', localField: '_id', foreignField: '_id', as: 'guest' } },
+            { $unwind: '$guest' }
+        ];
+
         // Customer frequency distribution
-        const customerFrequency = await Customer.aggregate([
+        const customerFrequency = await Booking.aggregate([
+            ...guestStats,
             {
                 $bucket: {
-                    groupBy: '$totalVisits',
+                    groupBy: '$visits',
                     boundaries: [1, 2, 5, 10, 20, 50],
                     default: '50+',
                     output: {
                         count: { $sum: 1 },
-                        customers: { $push: { name: '$name', visits: '$totalVisits' } }
+                        customers: { $push: { name: '$guest.name', visits: '$visits' } }
                     }
                 }
             }
         ]);
 
         // Top customers by revenue
-        const topCustomers = await Customer.find({ isActive: true })
-            .sort({ totalRevenue: -1 })
-            .limit(10)
-            .select('name mobile totalVisits totalRevenue');
+        const topCustomers = await Booking.aggregate([
+            ...guestStats,
+            { $sort: { revenue: -1 } },
+            { $limit: 10 },
+            {
+                $project: {
+                    name: '$guest.name',
+                    mobile: '$guest.mobile',
+                    totalVisits: '$visits',
+                    totalRevenue: '$revenue'
+                }
+            }
+        ]);
 
-        // Customer acquisition over time
-        const acquisitionData = await Customer.aggregate([
+        // Customer acquisition over time (a profile is dated from the guest's first stay)
+        const acquisitionData = await Guest.aggregate([
             {
                 $group: {
                     _id: {
@@ -292,7 +588,7 @@ exports.getOccupancyAnalytics = async (req, res, next) => {
                         { checkOut: { $gte: thirtyDaysAgo, $lte: new Date() } },
                         { checkIn: { $lte: thirtyDaysAgo }, checkOut: { $gte: new Date() } }
                     ],
-                    status: { $ne: 'cancelled' }
+                    status: { $in: STAY_STATUSES }
                 }
             },
             {
@@ -341,7 +637,7 @@ exports.getOccupancyAnalytics = async (req, res, next) => {
             {
                 $match: {
                     createdAt: { $gte: startDate },
-                    status: { $ne: 'cancelled' }
+                    status: { $in: STAY_STATUSES }
                 }
             },
             {
@@ -350,11 +646,23 @@ exports.getOccupancyAnalytics = async (req, res, next) => {
                     bookings: { $sum: 1 },
                     totalRevenue: { $sum: '$totalAmount' },
                     averageRate: { $avg: '$rent' },
+                    // Nightly stays count nights; hourly and day-use stays count hours
                     totalDays: {
                         $sum: {
-                            $ceil: {
-                                $divide: [{ $subtract: ['$checkOut', '$checkIn'] }, 86400000]
-                            }
+                            $cond: [
+                                { $eq: [PRICING_MODE_EXPR, 'nightly'] },
+                                NIGHTS_EXPR,
+                                0
+                            ]
+                        }
+                    },
+                    totalShortStayHours: {
+                        $sum: {
+                            $cond: [
+                                { $eq: [PRICING_MODE_EXPR, 'nightly'] },
+                                0,
+                                { $ceil: { $divide: [STAY_DURATION_EXPR, 3600000] } }
+                            ]
                         }
                     }
                 }
@@ -367,28 +675,86 @@ exports.getOccupancyAnalytics = async (req, res, next) => {
             {
                 $match: {
                     createdAt: { $gte: startDate },
-                    status: { $ne: 'cancelled' }
+                    status: { $in: STAY_STATUSES }
                 }
             },
             {
                 $group: {
-                    _id: null,
-                    averageDays: {
-                        $avg: {
-                            $ceil: {
-                                $divide: [{ $subtract: ['$checkOut', '$checkIn'] }, 86400000]
-                            }
-                        }
+                    _id: PRICING_MODE_EXPR,
+                    averageDays: { $avg: NIGHTS_EXPR },
+                    averageHours: {
+                        $avg: { $ceil: { $divide: [STAY_DURATION_EXPR, 3600000] } }
                     },
                     totalBookings: { $sum: 1 }
                 }
+            },
+            {
+                $project: {
+                    _id: 0,
+                    pricingMode: '$_id',
+                    // Short stays are measured in hours, not rounded up to whole days
+                    averageDays: { $cond: [{ $eq: ['$_id', 'nightly'] }, '$averageDays', null] },
+                    averageHours: 1,
+                    totalBookings: 1
+                }
             }
         ]);
 
+        const nightlyStay = averageStay.find(stay => stay.pricingMode === 'nightly');
+
         sendResponse(res, 200, true, 'Occupancy analytics retrieved successfully', {
             dailyOccupancy,
             roomUtilization,
-            averageStay: averageStay[0] || { averageDays: 0, totalBookings: 0 }
+            averageStay: nightlyStay
+                ? { averageDays: nightlyStay.averageDays, totalBookings: nightlyStay.totalBookings }
+                : { averageDays: 0, totalBookings: 0 },
+            averageStayByPricingMode: averageStay
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get outstanding dues with receivables aging, grouped by guest or company
+// @route   GET /api/analytics/receivables
+// @access  Private
+exports.getReceivables = async (req, res, next) => {
+    try {
+        const { groupBy = 'guest' } = req.query;
+        if (!['guest', 'company'].includes(groupBy)) {
+            return sendResponse(res, 400, false, 'Invalid groupBy. Use "guest" or "company"');
+        }
+        const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+        if (isNaN(asOf.getTime())) {
+            return sendResponse(res, 400, false, 'asOf must be a valid date');
+        }
+
+        const bookings = await buildReceivables(asOf);
+
+        // Guests are identified by mobile number; bookings not billed to a company
+        // are listed together under no company
+        const groups = new Map();
+        const totals = emptyBuckets();
+        bookings.forEach(row => {
+            const key = groupBy === 'company' ? (row.companyGstin || '') : row.customerMobile;
+            if (!groups.has(key)) {
+                groups.set(key, groupBy === 'company'
+                    ? { company: row.company, gstin: row.companyGstin, bookings: [], ...emptyBuckets() }
+                    : { customerName: row.customerName, customerMobile: row.customerMobile, bookings: [], ...emptyBuckets() });
+            }
+            const group = groups.get(key);
+            group.bookings.push(row);
+            addToBuckets(group, row);
+            addToBuckets(totals, row);
+        });
+
+        sendResponse(res, 200, true, 'Receivables retrieved successfully', {
+            asOf,
+            groupBy,
+            buckets: AGING_BUCKETS.map(bucket => bucket.label),
+            groups: [...groups.values()].sort((a, b) => b.total - a.total),
+            totals,
+            count: bookings.length
         });
     } catch (error) {
         next(error);
@@ -402,6 +768,12 @@ exports.exportData = async (req, res, next) => {
     try {
         const { type = 'customers', format = 'json', startDate, endDate } = req.query;
 
+        // Receivables are a snapshot of what is owed now, not a date range
+        if (type === 'receivables') {
+            const data = await buildReceivables(new Date());
+            return sendExport(res, type, format, data);
+        }
+
         let query = {};
         if (startDate && endDate) {
             query.createdAt = {
@@ -416,39 +788,47 @@ exports.exportData = async (req, res, next) => {
 
         let data;
         if (type === 'customers') {
-            data = await Customer.find(query).select('-__v');
+            data = await Guest.find(query).select('-__v');
         } else if (type === 'bookings') {
             data = await Booking.find(query).populate('customer', 'name mobile aadhaar').select('-__v');
         } else {
-            return sendResponse(res, 400, false, 'Invalid export type. Use "customers" or "bookings"');
+            return sendResponse(res, 400, false, 'Invalid export type. Use "customers", "bookings" or "receivables"');
         }
 
-        if (format === 'csv') {
-            // Convert to CSV format
-            const csvData = convertToCSV(data);
-            res.setHeader('Content-Type', 'text/csv');
-            res.setHeader('Content-Disposition', `attachment; filename=${type}_export.csv`);
-            res.send(csvData);
-        } else {
-            // Return JSON
-            sendResponse(res, 200, true, 'Data exported successfully', { data, count: data.length });
-        }
+        sendExport(res, type, format, data);
     } catch (error) {
         next(error);
     }
 };
 
+// Send exported rows as a CSV download or JSON
+const sendExport = (res, type, format, data) => {
+    if (format === 'csv') {
+        // Convert to CSV format
+        const csvData = convertToCSV(data);
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename=${type}_export.csv`);
+        res.send(csvData);
+    } else {
+        // Return JSON
+        sendResponse(res, 200, true, 'Data exported successfully', { data, count: data.length });
+    }
+};
+
 // Helper function to convert data to CSV
 const convertToCSV = (data) => {
     if (!data.length) return '';
 
-    const headers = Object.keys(data[0].toObject ? data[0].toObject() : data[0]);
+    // toJSON rather than toObject, so Aadhaar numbers are masked as in any other response
+    const headers = Object.keys(data[0].toJSON ? data[0].toJSON() : data[0]);
     const csvRows = [headers.join(',')];
 
     data.forEach(row => {
-        const obj = row.toObject ? row.toObject() : row;
+        const obj = row.toJSON ? row.toJSON() : row;
         const values = headers.map(header => {
             const value = obj[header];
+            if (value === null || value === undefined) return '';
+            if (value instanceof Date) return value.toISOString();
             return typeof value === 'string' ? `"${value.replace(/"/g, '""')}"` : value;
         });
         csvRows.push(values.join(','));
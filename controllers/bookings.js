@@ -1,7 +1,123 @@
 const { validationResult } = require('express-validator');
 const Booking = require('../models/Booking');
-const { sendResponse, generateSerialNo, generateEntryNo } = require('../utils/helpers');
+const Room = require('../models/Room');
+const RatePlan = require('../models/RatePlan');
+const Guest = require('../models/Guest');
+const { sendResponse, generateSerialNo, generateEntryNo, formatAadhaar, maskAadhaar } = require('../utils/helpers');
+const { hashAadhaar, maskAadhaarFields } = require('../utils/aadhaar');
 const cloudinaryService = require('../services/cloudinary');
+const roomAvailability = require('../services/roomAvailability');
+const reservationService = require('../services/reservations');
+const cancellationPolicy = require('../services/cancellationPolicy');
+const nightAudit = require('../services/nightAudit');
+const guestService = require('../services/guests');
+const watchlist = require('../services/watchlist');
+const loyaltyService = require('../services/loyalty');
+
+// Booking fields a client may change through updateBooking. Status goes through the status
+// state machine; payment fields are derived from the ledger; folio charges, discounts,
+// cancellations, stay changes and night audit postings have their own endpoints; guest
+// profiles are linked from the guest details; serial numbers and attribution never change.
+const EDITABLE_FIELDS = [
+    'entryNo', 'customerName', 'customerMobile', 'customerAadhaar', 'groupSize', 'additionalGuests',
+    'room', 'pricingMode', 'rent', 'checkIn', 'checkOut', 'notes',
+    'documents', 'documentPublicIds', 'documentTypes'
+];
+
+// Look up a room number in the room inventory; 'TBD' means not yet assigned
+const findBookableRoom = async (roomNumber) => {
+    if (!roomNumber || roomNumber === 'TBD') {
+        return { room: null, error: null };
+    }
+
+    const room = await Room.findOne({ roomNumber: roomNumber.trim() });
+    if (!room) {
+        return { room: null, error: `Room ${roomNumber} does not exist` };
+    }
+    if (!room.isActive) {
+        return { room, error: `Room ${roomNumber} is inactive and cannot be booked` };
+    }
+    return { room, error: null };
+};
+
+// Active rate plan that prices a nightly stay in the given room, if any
+const findRatePlanForRoom = async (roomNumber, pricingMode = 'nightly') => {
+    if (pricingMode !== 'nightly' || !roomAvailability.isAssignedRoom(roomNumber)) {
+        return null;
+    }
+    const room = await Room.findOne({ roomNumber: roomNumber.trim() }).select('type');
+    return room ? RatePlan.findActiveForType(room.type) : null;
+};
+
+// Credit loyalty points once a stay is checked out. The checkout has already been
+// saved, so a failed award is logged rather than failing the request.
+const awardLoyaltyPoints = async (booking) => {
+    try {
+        await loyaltyService.awardForStay(booking);
+    } catch (error) {
+        console.error(`Loyalty points could not be awarded for booking ${booking.entryNo}:`, error);
+    }
+};
+
+// Link a saved booking to its guests' profiles. The booking has already been saved, so a
+// failed link is logged rather than failing the request (scripts/migrateGuests.js relinks).
+const linkGuests = async (booking) => {
+    try {
+        await guestService.linkSavedBooking(booking);
+    } catch (error) {
+        console.error(`Guest profiles could not be linked for booking ${booking.entryNo}:`, error);
+    }
+};
+
+// Refuse a booking when a guest on it carries a high-severity watchlist flag
+const sendWatchlistBlock = (res, matches) => sendResponse(res, 403, false,
+    'A guest on this booking is on the watchlist and cannot be booked; ask a manager to review the flag',
+    { watchlist: matches });
+
+// Respond with the booking that already holds the room, or the block taking it out of service
+const sendRoomConflict = (res, conflict) => {
+    if (conflict.block) {
+        return sendResponse(res, 409, false,
+            `Room ${conflict.room} is blocked for these dates (${conflict.block.reason})`,
+            { block: conflict.block });
+    }
+    return sendResponse(res, 409, false,
+        `Room ${conflict.room} is already booked for these dates (entry no. ${conflict.entryNo})`,
+        {
+            conflict: {
+                _id: conflict._id,
+                entryNo: conflict.entryNo,
+                customerName: conflict.customerName,
+                checkIn: conflict.checkIn,
+                checkOut: conflict.checkOut,
+                status: conflict.status
+            }
+        });
+};
+
+// Cancel a booking, charging the fee from the configured cancellation policy
+const cancelWithPolicy = (booking, { changedBy, reason }) => {
+    const { fee, rule } = cancellationPolicy.calculateFee(booking);
+    return booking.cancel({ changedBy, reason, fee, policy: rule });
+};
+
+// Save a booking after confirming no other stay holds its room, under the room lock
+const saveWithoutConflict = (booking) => {
+    return roomAvailability.withRoomLock(booking.room, async () => {
+        if (roomAvailability.occupyingStatuses.includes(booking.status)) {
+            const conflict = await roomAvailability.findConflict({
+                room: booking.room,
+                checkIn: booking.checkIn,
+                checkOut: booking.checkOut,
+                excludeId: booking._id
+            });
+            if (conflict) {
+                return { conflict };
+            }
+        }
+        return { booking: await booking.save() };
+    });
+};
 
 // @desc    Get all bookings with pagination, search, and filters - Optimized for large datasets
 // @route   GET /api/bookings
@@ -112,8 +228,8 @@ exports.getBookings = async (req, res, next) => {
             }
         ];
 
-        // Execute aggregation
-        const bookings = await Booking.aggregate(pipeline);
+        // Execute aggregation; aggregates skip toJSON, so Aadhaar numbers are masked here
+        const bookings = (await Booking.aggregate(pipeline)).map(maskAadhaarFields);
 
         // Use countDocuments with the same match query for accurate pagination
         const totalCount = await Booking.countDocuments(matchQuery);
@@ -157,7 +273,9 @@ exports.createBooking = async (req, res, next) => {
             customerAadhaar,
             entryNo,
             rent,
+            rentOverrideReason,
             room,
+            pricingMode = 'nightly',
             checkIn,
             checkOut,
             status = 'checked-in',
@@ -184,6 +302,38 @@ exports.createBooking = async (req, res, next) => {
             return sendResponse(res, 400, false, 'Entry number already exists. Please use a different entry number.');
         }
 
+        // Closed business days cannot take new stays
+        await nightAudit.assertDateOpen(new Date(checkIn), 'Check-in');
+
+        // Flagged guests are warned about, or refused at high severity
+        const screening = await watchlist.screenBooking({ customerName, customerMobile, customerAadhaar, additionalGuests });
+        if (screening.blocked) {
+            return sendWatchlistBlock(res, screening.matches);
+        }
+
+        // Only rooms from the inventory can be booked
+        const { room: roomDoc, error: roomError } = await findBookableRoom(room);
+        if (roomError) {
+            return sendResponse(res, 400, false, roomError);
+        }
+
+        // Nightly stays in rooms with a rate plan are priced night by night from the plan;
+        // typing a rent instead is a manual override and needs a reason
+        const hasRent = rent !== undefined && rent !== '';
+        const ratePlan = roomDoc ? await findRatePlanForRoom(roomDoc.roomNumber, pricingMode) : null;
+        if (ratePlan && hasRent && !rentOverrideReason) {
+            return sendResponse(res, 400, false, 'A reason is required to override the rate plan rent');
+        }
+
+        // Default the rent to the rate plan or the room's rate for the chosen pricing mode
+        let bookingRent = hasRent ? rent : null;
+        if (!hasRent) {
+            bookingRent = ratePlan ? ratePlan.baseRate : (roomDoc ? roomDoc.rateFor(pricingMode) : null);
+        }
+        if (bookingRent === null || bookingRent === undefined) {
+            return sendResponse(res, 400, false, `Rent is required (no ${pricingMode} rate is set for this room)`);
+        }
+
         // Create booking with embedded customer data and document info
         const bookingData = {
             serialNo,
@@ -191,22 +341,35 @@ exports.createBooking = async (req, res, next) => {
             customerName,
             customerMobile,
             customerAadhaar,
-            room: room || 'TBD',
-            rent,
+            room: room ? room.trim() : 'TBD',
+            pricingMode,
+            rent: bookingRent,
+            ...(hasRent && rentOverrideReason && {
+                rateOverride: { reason: rentOverrideReason, overriddenBy: req.user._id, overriddenAt: new Date() }
+            }),
             checkIn: new Date(checkIn),
             checkOut: checkOut ? new Date(checkOut) : null,
+            expectedCheckIn: reservationService.pendingArrivalStatuses.includes(status) ? new Date(checkIn) : null,
             status,
             documents,
             documentPublicIds,
             documentTypes,
             additionalGuests,
-            groupSize: groupSize || (1 + (additionalGuests ? additionalGuests.length : 0))
+            groupSize: groupSize || (1 + (additionalGuests ? additionalGuests.length : 0)),
+            statusHistory: [{ from: null, to: status, changedBy: req.user._id, reason: 'Booking created' }],
+            createdBy: req.user._id
         };
 
         const newBooking = new Booking(bookingData);
-        const savedBooking = await newBooking.save();
+        const { booking: savedBooking, conflict } = await saveWithoutConflict(newBooking);
 
-        sendResponse(res, 201, true, 'Booking created successfully', { booking: savedBooking });
+        if (conflict) {
+            return sendRoomConflict(res, conflict);
+        }
+        await linkGuests(savedBooking);
+        await awardLoyaltyPoints(savedBooking);
+
+        sendResponse(res, 201, true, 'Booking created successfully', { booking: savedBooking, watchlist: screening.matches });
     } catch (error) {
         console.error('=== BOOKING CREATION ERROR ===');
         console.error('Error name:', error.name);
@@ -270,16 +433,88 @@ exports.updateBooking = async (req, res, next) => {
             return sendResponse(res, 404, false, 'Booking not found');
         }
 
-        // Update booking fields
-        Object.keys(req.body).forEach(key => {
+        // Validate a room change against the room inventory
+        if (req.body.room !== undefined && req.body.room !== booking.room) {
+            const { error: roomError } = await findBookableRoom(req.body.room);
+            if (roomError) {
+                return sendResponse(res, 400, false, roomError);
+            }
+        }
+
+        const { status, statusReason, rentOverrideReason } = req.body;
+        const fields = {};
+        EDITABLE_FIELDS.forEach(key => {
             if (req.body[key] !== undefined) {
-                booking[key] = req.body[key];
+                fields[key] = req.body[key];
             }
         });
 
-        const updatedBooking = await booking.save();
+        // Once invoiced, billing corrections go through a credit note
+        if (booking.invoice) {
+            const lockedFields = Booking.BILLABLE_FIELDS.filter(key =>
+                fields[key] !== undefined && booking.changesBillableField(key, fields[key]));
+            if (lockedFields.length > 0) {
+                return sendResponse(res, 400, false,
+                    `Booking has been invoiced; ${lockedFields.join(', ')} cannot be changed. Issue a credit note instead.`);
+            }
+        }
+        if (status !== undefined && status !== booking.status && !booking.canTransitionTo(status)) {
+            return sendResponse(res, 400, false, `Cannot change booking status from ${booking.status} to ${status}`);
+        }
+
+        // Stay dates cannot be moved onto, or check-in moved off, a day closed by the night audit
+        if (fields.checkIn !== undefined && booking.changesBillableField('checkIn', fields.checkIn)) {
+            await nightAudit.assertDateOpen(booking.checkIn, 'Current check-in');
+            await nightAudit.assertDateOpen(new Date(fields.checkIn), 'Check-in');
+        }
+        if (fields.checkOut && booking.changesBillableField('checkOut', fields.checkOut)) {
+            await nightAudit.assertDateOpen(new Date(fields.checkOut), 'Check-out');
+        }
+        if (status === 'checked-out' && status !== booking.status && !fields.checkOut && !booking.checkOut) {
+            await nightAudit.assertDateOpen(new Date(), 'Check-out');
+        }
+
+        // Changing the rent of a plan-priced stay is a manual override and needs a reason
+        if (fields.rent !== undefined && Number(fields.rent) !== booking.rent) {
+            if (rentOverrideReason) {
+                booking.rateOverride = { reason: rentOverrideReason, overriddenBy: req.user._id, overriddenAt: new Date() };
+            } else if (await findRatePlanForRoom(fields.room || booking.room, fields.pricingMode || booking.pricingMode)) {
+                return sendResponse(res, 400, false, 'A reason is required to override the rate plan rent');
+            }
+        }
 
-        sendResponse(res, 200, true, 'Booking updated successfully', { booking: updatedBooking });
+        // Update booking fields
+        Object.keys(fields).forEach(key => {
+            booking[key] = fields[key];
+        });
+
+        // Guests added or changed on the booking are screened like new ones
+        let screening = { matches: [] };
+        const guestsChanged = ['customerName', 'customerMobile', 'customerAadhaar', 'additionalGuests'].some(key => fields[key] !== undefined);
+        if (guestsChanged) {
+            screening = await watchlist.screenBooking(booking);
+            if (screening.blocked) {
+                return sendWatchlistBlock(res, screening.matches);
+            }
+        }
+
+        if (status === 'cancelled' && booking.status !== 'cancelled') {
+            cancelWithPolicy(booking, { changedBy: req.user._id, reason: statusReason || 'Cancelled' });
+        } else if (status !== undefined && status !== booking.status) {
+            booking.transitionTo(status, { changedBy: req.user._id, reason: statusReason });
+        }
+
+        const { booking: updatedBooking, conflict } = await saveWithoutConflict(booking);
+
+        if (conflict) {
+            return sendRoomConflict(res, conflict);
+        }
+        if (guestsChanged) {
+            await linkGuests(updatedBooking);
+        }
+        await awardLoyaltyPoints(updatedBooking);
+
+        sendResponse(res, 200, true, 'Booking updated successfully', { booking: updatedBooking, watchlist: screening.matches });
     } catch (error) {
         next(error);
     }
@@ -296,6 +531,11 @@ exports.deleteBooking = async (req, res, next) => {
             return sendResponse(res, 404, false, 'Booking not found');
         }
 
+        // Invoiced bookings are kept for the tax record
+        if (booking.invoice) {
+            return sendResponse(res, 400, false, 'Booking has been invoiced and cannot be deleted');
+        }
+
         // Delete associated documents from Cloudinary
         if (booking.documentPublicIds && booking.documentPublicIds.length > 0) {
             console.log('Deleting documents from Cloudinary:', booking.documentPublicIds);
@@ -377,15 +617,42 @@ exports.getBookingsByDateRange = async (req, res, next) => {
 // @access  Private
 exports.updateBookingStatus = async (req, res, next) => {
     try {
-        const { status } = req.body;
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const { status, reason } = req.body;
         const booking = await Booking.findById(req.params.id);
 
         if (!booking) {
             return sendResponse(res, 404, false, 'Booking not found');
         }
 
-        booking.status = status;
-        const updatedBooking = await booking.save();
+        if (!booking.canTransitionTo(status)) {
+            const allowed = Booking.STATUS_TRANSITIONS[booking.status] || [];
+            return sendResponse(res, 400, false,
+                `Cannot change booking status from ${booking.status} to ${status}`,
+                { allowedStatuses: allowed });
+        }
+
+        // Checking out without a departure time stamps it now, which must be an open day
+        if (status === 'checked-out' && !booking.checkOut) {
+            await nightAudit.assertDateOpen(new Date(), 'Check-out');
+        }
+
+        if (status === 'cancelled') {
+            cancelWithPolicy(booking, { changedBy: req.user._id, reason: reason || 'Cancelled' });
+        } else {
+            booking.transitionTo(status, { changedBy: req.user._id, reason });
+        }
+        const { booking: updatedBooking, conflict } = await saveWithoutConflict(booking);
+
+        if (conflict) {
+            return sendRoomConflict(res, conflict);
+        }
+        await awardLoyaltyPoints(updatedBooking);
 
         sendResponse(res, 200, true, 'Booking status updated successfully', { booking: updatedBooking });
     } catch (error) {
@@ -393,6 +660,187 @@ exports.updateBookingStatus = async (req, res, next) => {
     }
 };
 
+// @desc    Cancel booking and apply the cancellation policy
+// @route   POST /api/bookings/:id/cancel
+// @access  Private
+exports.cancelBooking = async (req, res, next) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return sendResponse(res, 404, false, 'Booking not found');
+        }
+
+        if (!booking.canTransitionTo('cancelled')) {
+            return sendResponse(res, 400, false, `Booking cannot be cancelled from status ${booking.status}`);
+        }
+
+        cancelWithPolicy(booking, { changedBy: req.user._id, reason: req.body.reason.trim() });
+        const updatedBooking = await booking.save();
+
+        sendResponse(res, 200, true, 'Booking cancelled successfully', {
+            booking: updatedBooking,
+            cancellation: updatedBooking.cancellation
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Check in a reserved booking (turns the reservation into a stay)
+// @route   POST /api/bookings/:id/check-in
+// @access  Private
+exports.checkInBooking = async (req, res, next) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return sendResponse(res, 404, false, 'Booking not found');
+        }
+
+        if (!booking.canTransitionTo('checked-in')) {
+            return sendResponse(res, 400, false, `Booking cannot be checked in from status ${booking.status}`);
+        }
+
+        // Flags may have been raised since the reservation was made
+        const screening = await watchlist.screenBooking(booking);
+        if (screening.blocked) {
+            return sendWatchlistBlock(res, screening.matches);
+        }
+
+        // Room may be assigned at arrival
+        const { room } = req.body;
+        if (room !== undefined && room !== booking.room) {
+            const { error: roomError } = await findBookableRoom(room);
+            if (roomError) {
+                return sendResponse(res, 400, false, roomError);
+            }
+            booking.room = room.trim();
+        }
+
+        const arrival = req.body.checkIn ? new Date(req.body.checkIn) : new Date();
+        if (isNaN(arrival.getTime())) {
+            return sendResponse(res, 400, false, 'Check-in date must be a valid date');
+        }
+        if (booking.checkOut && arrival > booking.checkOut) {
+            return sendResponse(res, 400, false, 'Check-in cannot be after the booked check-out date');
+        }
+        await nightAudit.assertDateOpen(arrival, 'Check-in');
+
+        if (!booking.expectedCheckIn) {
+            booking.expectedCheckIn = booking.checkIn;
+        }
+        booking.checkIn = arrival;
+        booking.transitionTo('checked-in', { changedBy: req.user._id, reason: req.body.reason });
+
+        const { booking: updatedBooking, conflict } = await saveWithoutConflict(booking);
+
+        if (conflict) {
+            return sendRoomConflict(res, conflict);
+        }
+
+        sendResponse(res, 200, true, 'Guest checked in successfully', { booking: updatedBooking, watchlist: screening.matches });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Extend a stay to a later check-out date
+// @route   POST /api/bookings/:id/extend
+// @access  Private
+exports.extendStay = async (req, res, next) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return sendResponse(res, 404, false, 'Booking not found');
+        }
+
+        if (!roomAvailability.occupyingStatuses.includes(booking.status)) {
+            return sendResponse(res, 400, false, `Only active stays and reservations can be extended (current status: ${booking.status})`);
+        }
+
+        const newCheckOut = new Date(req.body.checkOut);
+        const currentEnd = booking.checkOut || booking.checkIn;
+        if (newCheckOut <= currentEnd) {
+            return sendResponse(res, 400, false, 'New check-out must be after the current check-out date');
+        }
+
+        await booking.changeCheckOut('extension', newCheckOut, { changedBy: req.user._id, reason: req.body.reason });
+
+        // The overlap check covers the whole new range, including the extra nights
+        const { booking: updatedBooking, conflict } = await saveWithoutConflict(booking);
+
+        if (conflict) {
+            return sendRoomConflict(res, conflict);
+        }
+
+        sendResponse(res, 200, true, 'Stay extended successfully', {
+            booking: updatedBooking,
+            change: updatedBooking.stayChanges[updatedBooking.stayChanges.length - 1]
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Check a guest out before the booked check-out date
+// @route   POST /api/bookings/:id/early-checkout
+// @access  Private
+exports.earlyCheckout = async (req, res, next) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return sendResponse(res, 404, false, 'Booking not found');
+        }
+
+        if (booking.status !== 'checked-in') {
+            return sendResponse(res, 400, false, `Only checked-in guests can check out early (current status: ${booking.status})`);
+        }
+
+        const newCheckOut = req.body.checkOut ? new Date(req.body.checkOut) : new Date();
+        if (newCheckOut < booking.checkIn) {
+            return sendResponse(res, 400, false, 'Check-out cannot be before check-in');
+        }
+        if (booking.checkOut && newCheckOut >= booking.checkOut) {
+            return sendResponse(res, 400, false, 'Early check-out must be before the booked check-out date');
+        }
+        await nightAudit.assertDateOpen(newCheckOut, 'Check-out');
+
+        await booking.changeCheckOut('early-checkout', newCheckOut, { changedBy: req.user._id, reason: req.body.reason });
+        booking.transitionTo('checked-out', { changedBy: req.user._id, reason: req.body.reason || 'Early checkout' });
+
+        const updatedBooking = await booking.save();
+        await awardLoyaltyPoints(updatedBooking);
+
+        sendResponse(res, 200, true, 'Guest checked out early', {
+            booking: updatedBooking,
+            change: updatedBooking.stayChanges[updatedBooking.stayChanges.length - 1]
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // @desc    Advanced search for large datasets with caching
 // @route   GET /api/bookings/advanced-search
 // @access  Private
@@ -517,6 +965,7 @@ exports.advancedSearch = async (req, res, next) => {
             Booking.aggregate(pipeline),
             Booking.countDocuments(matchQuery)
         ]);
+        results.forEach(maskAadhaarFields);
 
         const totalPages = Math.ceil(totalCount / limitNum);
 
@@ -565,6 +1014,24 @@ exports.getBookingStats = async (req, res, next) => {
                         { $match: { status: "checked-in" } },
                         { $count: "count" }
                     ],
+                    expectedArrivals: [
+                        {
+                            $match: {
+                                status: { $in: reservationService.pendingArrivalStatuses },
+                                checkIn: { $gte: today, $lt: tomorrow }
+                            }
+                        },
+                        { $count: "count" }
+                    ],
+                    expectedDepartures: [
+                        {
+                            $match: {
+                                status: "checked-in",
+                                checkOut: { $gte: today, $lt: tomorrow }
+                            }
+                        },
+                        { $count: "count" }
+                    ],
                     totalRevenue: [
                         { $match: { status: { $in: ["checked-out", "checked-in"] } } },
                         { $group: { _id: null, total: { $sum: "$rent" } } }
@@ -593,6 +1060,8 @@ exports.getBookingStats = async (req, res, next) => {
                 totalBookings: result.totalBookings[0]?.count || 0,
                 todayCheckIns: result.todayCheckIns[0]?.count || 0,
                 activeBookings: result.activeBookings[0]?.count || 0,
+                expectedArrivals: result.expectedArrivals[0]?.count || 0,
+                expectedDepartures: result.expectedDepartures[0]?.count || 0,
                 totalRevenue: result.totalRevenue[0]?.total || 0
             },
             recentBookings: result.recentBookings
@@ -603,7 +1072,7 @@ exports.getBookingStats = async (req, res, next) => {
     }
 };
 
-// @desc    Search customer by mobile or aadhaar (from booking records)
+// @desc    Search a guest profile by mobile or aadhaar, with their booking history
 // @route   GET /api/bookings/search-customer
 // @access  Private
 exports.searchCustomer = async (req, res, next) => {
@@ -614,183 +1083,83 @@ exports.searchCustomer = async (req, res, next) => {
             return sendResponse(res, 400, false, 'Mobile number or Aadhaar number is required');
         }
 
-        // Build search query
-        const query = {};
-        if (mobile) query.customerMobile = mobile;
-        if (aadhaar) {
-            // Format Aadhaar if needed
-            let formattedAadhaar = aadhaar;
-            if (aadhaar && !aadhaar.includes('-')) {
-                const numbers = aadhaar.replace(/\D/g, '');
-                if (numbers.length === 12) {
-                    formattedAadhaar = `${numbers.slice(0, 4)}-${numbers.slice(4, 8)}-${numbers.slice(8, 12)}`;
-                }
-            }
-            query.customerAadhaar = formattedAadhaar;
-        }
-
-        // Find all bookings for this customer (both as main customer and as additional guest)
-        let bookings = [];
-        let guestData = null;
-        let isGuest = false;
-
-        // First, search in main customers
-        const mainCustomerBookings = await Booking.find({
-            $or: Object.keys(query).map(key => ({ [key]: query[key] }))
-        }).sort({ createdAt: -1 });
-
-        if (mainCustomerBookings && mainCustomerBookings.length > 0) {
-            bookings = mainCustomerBookings;
-        } else {
-            // If not found as main customer, search in additionalGuests
-            const guestSearchQuery = [];
-
-            if (mobile) {
-                guestSearchQuery.push({ 'additionalGuests.mobile': mobile });
-            }
-            if (aadhaar) {
-                let formattedAadhaar = aadhaar;
-                if (aadhaar && !aadhaar.includes('-')) {
-                    const numbers = aadhaar.replace(/\D/g, '');
-                    if (numbers.length === 12) {
-                        formattedAadhaar = `${numbers.slice(0, 4)}-${numbers.slice(4, 8)}-${numbers.slice(8, 12)}`;
-                    }
-                }
-                guestSearchQuery.push({ 'additionalGuests.aadhaar': formattedAadhaar });
-            }
-
-            if (guestSearchQuery.length > 0) {
-                console.log('Searching for guest with query:', guestSearchQuery);
-
-                const guestBookings = await Booking.find({
-                    $or: guestSearchQuery
-                }).sort({ createdAt: -1 });
-
-                console.log('Found guest bookings:', guestBookings.length);
+        // Aadhaar numbers are stored encrypted and found through their keyed hash
+        const aadhaarHash = aadhaar ? hashAadhaar(formatAadhaar(aadhaar)) : null;
+        const conditions = [];
+        if (aadhaarHash) conditions.push({ aadhaarHash });
+        if (mobile) conditions.push({ mobile });
 
-                if (guestBookings && guestBookings.length > 0) {
-                    bookings = guestBookings;
-                    isGuest = true;
+        // Aadhaar identifies a guest more reliably than a (possibly shared) mobile number
+        const candidates = await Guest.find({ $or: conditions }).sort({ updatedAt: -1 });
+        const guest = candidates.find(candidate => aadhaarHash && candidate.aadhaarHash === aadhaarHash) || candidates[0];
 
-                    // Find the specific guest data from the most recent booking
-                    const latestBooking = guestBookings[0];
-                    console.log('Latest booking additional guests:', latestBooking.additionalGuests);
+        // Flags can match the searched details even before the guest has a profile
+        const screening = await watchlist.screen([guest || { mobile, aadhaar }]);
 
-                    if (latestBooking.additionalGuests && latestBooking.additionalGuests.length > 0) {
-                        const targetAadhaar = aadhaar.includes('-') ? aadhaar : formattedAadhaar;
-                        console.log('Looking for guest with aadhaar:', targetAadhaar, 'or mobile:', mobile);
-
-                        guestData = latestBooking.additionalGuests.find(guest => {
-                            console.log('Checking guest:', guest.name, 'mobile:', guest.mobile, 'aadhaar:', guest.aadhaar);
-                            return (mobile && guest.mobile === mobile) ||
-                                (aadhaar && guest.aadhaar === targetAadhaar);
-                        });
-
-                        console.log('Found guest data:', guestData);
-                    }
-                }
-            }
+        if (!guest) {
+            return sendResponse(res, 404, false, 'Customer not found', {
+                found: false,
+                watchlist: screening.matches,
+                blocked: screening.blocked
+            });
         }
 
-        if (!bookings || bookings.length === 0) {
-            return sendResponse(res, 404, false, 'Customer not found', { found: false });
-        }
+        const bookings = await Booking.find(guestService.bookingQueryFor(guest._id)).sort({ createdAt: -1 });
 
-        // Get customer info from the most recent booking
+        const isMainCustomer = (booking) => Boolean(booking.customer && booking.customer.equals(guest._id));
+        const mainBookings = bookings.filter(isMainCustomer);
         const latestBooking = bookings[0];
 
-        // Calculate statistics (for guests, only count bookings where they were present)
-        const totalBookings = bookings.length;
-        const totalSpent = isGuest ? 0 : bookings.reduce((sum, booking) => sum + (booking.rent || 0), 0); // Don't calculate spent amount for guests
-        const lastVisit = latestBooking.checkIn;
-
-        let customerData;
-
-        if (isGuest && guestData) {
-            // Return guest data
-            customerData = {
-                name: guestData.name,
-                mobile: guestData.mobile,
-                aadhaar: guestData.aadhaar,
-                totalBookings,
-                totalSpent,
-                lastVisit,
-                visitCount: totalBookings,
-                isGuest: true,
-                // For guests, try to get document URLs from guest data
-                documents: guestData.documents || [],
-                documentTypes: guestData.documentTypes || [],
-                aadhaarFrontUrl: null,
-                aadhaarBackUrl: null,
-                bookings: bookings.map(booking => ({
-                    _id: booking._id,
-                    serialNo: booking.serialNo,
-                    entryNo: booking.entryNo,
-                    room: booking.room,
-                    rent: booking.rent,
-                    checkIn: booking.checkIn,
-                    checkOut: booking.checkOut,
-                    status: booking.status,
-                    totalAmount: booking.totalAmount || booking.rent,
-                    role: 'guest' // Indicate this person was a guest in these bookings
-                }))
-            };
-
-            // Extract guest document URLs if available
-            if (guestData.documents && guestData.documentTypes) {
-                guestData.documentTypes.forEach((type, index) => {
-                    if (type === 'aadhaar-front' && guestData.documents[index]) {
-                        customerData.aadhaarFrontUrl = guestData.documents[index];
-                    } else if (type === 'aadhaar-back' && guestData.documents[index]) {
-                        customerData.aadhaarBackUrl = guestData.documents[index];
-                    }
-                });
-            }
-        } else {
-            // Return main customer data
-            customerData = {
-                name: latestBooking.customerName,
-                mobile: latestBooking.customerMobile,
-                aadhaar: latestBooking.customerAadhaar,
-                totalBookings,
-                totalSpent,
-                lastVisit,
-                visitCount: totalBookings,
-                isGuest: false,
-                // Include document information from the latest booking if available
-                documents: latestBooking.documents || [],
-                documentTypes: latestBooking.documentTypes || [],
-                aadhaarFrontUrl: null,
-                aadhaarBackUrl: null,
-                bookings: bookings.map(booking => ({
-                    _id: booking._id,
-                    serialNo: booking.serialNo,
-                    entryNo: booking.entryNo,
-                    room: booking.room,
-                    rent: booking.rent,
-                    checkIn: booking.checkIn,
-                    checkOut: booking.checkOut,
-                    status: booking.status,
-                    totalAmount: booking.totalAmount || booking.rent,
-                    role: 'main' // Indicate this person was the main customer
-                }))
-            };
-
-            // Extract main customer document URLs if available
-            if (latestBooking.documents && latestBooking.documentTypes) {
-                latestBooking.documentTypes.forEach((type, index) => {
-                    if (type === 'aadhaar-front' && latestBooking.documents[index]) {
-                        customerData.aadhaarFrontUrl = latestBooking.documents[index];
-                    } else if (type === 'aadhaar-back' && latestBooking.documents[index]) {
-                        customerData.aadhaarBackUrl = latestBooking.documents[index];
-                    }
-                });
+        // Documents come from the latest stay: the booking's own when they were the
+        // primary customer, otherwise their entry among the additional guests
+        const documentSource = !latestBooking ? null : isMainCustomer(latestBooking)
+            ? latestBooking
+            : latestBooking.additionalGuests.find(entry => entry.guest && entry.guest.equals(guest._id));
+
+        const customerData = {
+            guestId: guest._id,
+            name: guest.name,
+            mobile: guest.mobile,
+            aadhaar: maskAadhaar(guest.aadhaar),
+            totalBookings: bookings.length,
+            // Only stays they paid for as the primary customer count as spent
+            totalSpent: mainBookings.reduce((sum, booking) => sum + (booking.totalAmount || booking.rent || 0), 0),
+            lastVisit: latestBooking ? latestBooking.checkIn : null,
+            visitCount: bookings.length,
+            isGuest: mainBookings.length === 0,
+            loyalty: await loyaltyService.statusFor(guest),
+            documents: documentSource?.documents || [],
+            documentTypes: documentSource?.documentTypes || [],
+            aadhaarFrontUrl: null,
+            aadhaarBackUrl: null,
+            bookings: bookings.map(booking => ({
+                _id: booking._id,
+                serialNo: booking.serialNo,
+                entryNo: booking.entryNo,
+                room: booking.room,
+                rent: booking.rent,
+                checkIn: booking.checkIn,
+                checkOut: booking.checkOut,
+                status: booking.status,
+                totalAmount: booking.totalAmount || booking.rent,
+                role: isMainCustomer(booking) ? 'main' : 'guest'
+            }))
+        };
+
+        // Extract Aadhaar document URLs if available
+        customerData.documentTypes.forEach((type, index) => {
+            if (type === 'aadhaar-front' && customerData.documents[index]) {
+                customerData.aadhaarFrontUrl = customerData.documents[index];
+            } else if (type === 'aadhaar-back' && customerData.documents[index]) {
+                customerData.aadhaarBackUrl = customerData.documents[index];
             }
-        }
+        });
 
         sendResponse(res, 200, true, 'Customer found', {
             found: true,
-            customer: customerData
+            customer: customerData,
+            watchlist: screening.matches,
+            blocked: screening.blocked
         });
     } catch (error) {
         next(error);
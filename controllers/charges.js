@@ -0,0 +1,143 @@
+const { validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const hotelConfig = require('../config/hotel');
+const nightAudit = require('../services/nightAudit');
+const { sendResponse } = require('../utils/helpers');
+
+// Bookings that can no longer take folio charges
+const CLOSED_STATUSES = ['cancelled', 'no-show'];
+
+// Charge totals per category for a booking's folio
+const summarizeCharges = (booking) => {
+    const byCategory = {};
+    booking.activeCharges().forEach(charge => {
+        const row = byCategory[charge.category] || (byCategory[charge.category] = { category: charge.category, amount: 0, count: 0 });
+        row.amount += charge.amount;
+        row.count += 1;
+    });
+
+    return {
+        roomCharges: booking.stayAmount(),
+        extras: booking.extrasAmount,
+        totalAmount: booking.totalAmount,
+        byCategory: Object.values(byCategory)
+    };
+};
+
+// @desc    Get a booking's folio
+// @route   GET /api/bookings/:id/charges
+// @access  Private
+exports.getCharges = async (req, res, next) => {
+    try {
+        const booking = await Booking.findById(req.params.id)
+            .populate('charges.postedBy', 'username')
+            .populate('charges.voidedBy', 'username');
+
+        if (!booking) {
+            return sendResponse(res, 404, false, 'Booking not found');
+        }
+
+        sendResponse(res, 200, true, 'Folio retrieved successfully', {
+            charges: booking.charges,
+            summary: summarizeCharges(booking)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Post a charge to a booking's folio
+// @route   POST /api/bookings/:id/charges
+// @access  Private
+exports.postCharge = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return sendResponse(res, 404, false, 'Booking not found');
+        }
+
+        if (CLOSED_STATUSES.includes(booking.status)) {
+            return sendResponse(res, 400, false, `Cannot post charges to a ${booking.status} booking`);
+        }
+
+        if (booking.invoice) {
+            return sendResponse(res, 400, false, 'Booking has been invoiced; charges cannot be added. Issue a credit note instead.');
+        }
+
+        const { category, description, unitPrice, taxRate } = req.body;
+        const quantity = req.body.quantity !== undefined ? Number(req.body.quantity) : 1;
+
+        booking.charges.push({
+            category,
+            description,
+            quantity,
+            unitPrice: Number(unitPrice),
+            taxRate: taxRate !== undefined ? Number(taxRate) : hotelConfig.gst.chargeRates[category] || 0,
+            amount: Math.round(quantity * Number(unitPrice) * 100) / 100,
+            postedBy: req.user._id
+        });
+
+        const updatedBooking = await booking.save();
+
+        sendResponse(res, 201, true, 'Charge posted successfully', {
+            charge: updatedBooking.charges[updatedBooking.charges.length - 1],
+            summary: summarizeCharges(updatedBooking)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Void a folio charge
+// @route   POST /api/bookings/:id/charges/:chargeId/void
+// @access  Private (Admin/Manager only)
+exports.voidCharge = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return sendResponse(res, 404, false, 'Booking not found');
+        }
+
+        const charge = booking.charges.id(req.params.chargeId);
+        if (!charge) {
+            return sendResponse(res, 404, false, 'Charge not found');
+        }
+
+        if (charge.voided) {
+            return sendResponse(res, 400, false, 'Charge is already voided');
+        }
+
+        if (booking.invoice) {
+            return sendResponse(res, 400, false, 'Booking has been invoiced; charges cannot be voided. Issue a credit note instead.');
+        }
+
+        // A charge posted on a day closed by the night audit is part of that day's revenue
+        await nightAudit.assertDateOpen(charge.postedAt, 'Charge date');
+
+        charge.voided = true;
+        charge.voidReason = req.body.reason.trim();
+        charge.voidedBy = req.user._id;
+        charge.voidedAt = new Date();
+
+        const updatedBooking = await booking.save();
+
+        sendResponse(res, 200, true, 'Charge voided successfully', {
+            charge: updatedBooking.charges.id(charge._id),
+            summary: summarizeCharges(updatedBooking)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,139 @@
+const { validationResult } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const Booking = require('../models/Booking');
+const { sendResponse, parseDateKey } = require('../utils/helpers');
+
+const COUPON_FIELDS = ['code', 'description', 'discountType', 'value', 'validFrom', 'validTo', 'usageLimit', 'isActive'];
+
+// A date-only validTo covers the whole of that day
+const normalizeDates = (data) => {
+    ['validFrom', 'validTo'].forEach(key => {
+        const day = parseDateKey(data[key]);
+        if (day) {
+            if (key === 'validTo') day.setHours(23, 59, 59, 999);
+            data[key] = day;
+        }
+    });
+    return data;
+};
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private (Admin/Manager only)
+exports.getCoupons = async (req, res, next) => {
+    try {
+        const query = {};
+        if (req.query.active === 'true') query.isActive = true;
+        if (req.query.active === 'false') query.isActive = false;
+
+        const coupons = await Coupon.find(query).sort({ validTo: -1 });
+
+        sendResponse(res, 200, true, 'Coupons retrieved successfully', { coupons, count: coupons.length });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get single coupon
+// @route   GET /api/coupons/:id
+// @access  Private (Admin/Manager only)
+exports.getCoupon = async (req, res, next) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return sendResponse(res, 404, false, 'Coupon not found');
+        }
+
+        sendResponse(res, 200, true, 'Coupon retrieved successfully', { coupon });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private (Admin/Manager only)
+exports.createCoupon = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const data = { createdBy: req.user._id };
+        COUPON_FIELDS.forEach(key => {
+            if (req.body[key] !== undefined) data[key] = req.body[key];
+        });
+
+        const existingCoupon = await Coupon.findOne({ code: String(data.code).trim().toUpperCase() });
+        if (existingCoupon) {
+            return sendResponse(res, 400, false, 'Coupon code already exists');
+        }
+
+        const coupon = await Coupon.create(normalizeDates(data));
+
+        sendResponse(res, 201, true, 'Coupon created successfully', { coupon });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update coupon
+// @route   PUT /api/coupons/:id
+// @access  Private (Admin/Manager only)
+exports.updateCoupon = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return sendResponse(res, 404, false, 'Coupon not found');
+        }
+
+        // Bookings record the code they used, so a used coupon keeps its code
+        if (req.body.code && req.body.code.trim().toUpperCase() !== coupon.code && coupon.usedCount > 0) {
+            return sendResponse(res, 400, false, 'Cannot change the code of a coupon that has been used');
+        }
+
+        const data = {};
+        COUPON_FIELDS.forEach(key => {
+            if (req.body[key] !== undefined) data[key] = req.body[key];
+        });
+        Object.assign(coupon, normalizeDates(data));
+
+        const updatedCoupon = await coupon.save();
+
+        sendResponse(res, 200, true, 'Coupon updated successfully', { coupon: updatedCoupon });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete coupon
+// @route   DELETE /api/coupons/:id
+// @access  Private (Admin/Manager only)
+exports.deleteCoupon = async (req, res, next) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return sendResponse(res, 404, false, 'Coupon not found');
+        }
+
+        const bookingCount = await Booking.countDocuments({ 'discount.coupon': coupon._id });
+        if (bookingCount > 0) {
+            return sendResponse(res, 400, false, 'Coupon has been used on bookings and cannot be deleted. Deactivate it instead.');
+        }
+
+        await Coupon.findByIdAndDelete(req.params.id);
+
+        sendResponse(res, 200, true, 'Coupon deleted successfully');
+    } catch (error) {
+        next(error);
+    }
+};
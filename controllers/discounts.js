@@ -0,0 +1,104 @@
+const { validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const discountService = require('../services/discounts');
+const { sendResponse } = require('../utils/helpers');
+
+// Discounts change what is billed, so they follow the same rules as other billable edits
+const getDiscountableBooking = async (id) => {
+    const booking = await Booking.findById(id);
+
+    if (!booking) {
+        return { error: [404, 'Booking not found'] };
+    }
+    if (['cancelled', 'no-show'].includes(booking.status)) {
+        return { error: [400, `Cannot discount a ${booking.status} booking`] };
+    }
+    if (booking.invoice) {
+        return { error: [400, 'Booking has been invoiced; the discount cannot be changed. Issue a credit note instead.'] };
+    }
+    return { booking };
+};
+
+// @desc    Apply a discount to a booking (ad hoc with a reason, or a coupon code)
+// @route   POST /api/bookings/:id/discount
+// @access  Private
+exports.applyDiscount = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const { booking, error } = await getDiscountableBooking(req.params.id);
+        if (error) {
+            return sendResponse(res, error[0], false, error[1]);
+        }
+
+        const { couponCode, kind, value, reason } = req.body;
+
+        let updatedBooking;
+        if (couponCode) {
+            updatedBooking = await discountService.applyCoupon(booking, { code: couponCode, appliedBy: req.user._id });
+        } else {
+            await discountService.applyDiscount(booking, {
+                kind,
+                value: Number(value),
+                reason: reason.trim(),
+                appliedBy: req.user._id
+            });
+            updatedBooking = await discountService.saveBooking(booking);
+        }
+
+        sendResponse(res, 200, true, 'Discount applied successfully', { booking: updatedBooking });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Record a booking as a complimentary stay
+// @route   POST /api/bookings/:id/complimentary
+// @access  Private (Admin/Manager only)
+exports.makeComplimentary = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const { booking, error } = await getDiscountableBooking(req.params.id);
+        if (error) {
+            return sendResponse(res, error[0], false, error[1]);
+        }
+
+        await discountService.makeComplimentary(booking, { reason: req.body.reason.trim(), appliedBy: req.user._id });
+        const updatedBooking = await discountService.saveBooking(booking);
+
+        sendResponse(res, 200, true, 'Booking marked as complimentary', { booking: updatedBooking });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Remove a booking's discount or complimentary status
+// @route   DELETE /api/bookings/:id/discount
+// @access  Private
+exports.removeDiscount = async (req, res, next) => {
+    try {
+        const { booking, error } = await getDiscountableBooking(req.params.id);
+        if (error) {
+            return sendResponse(res, error[0], false, error[1]);
+        }
+
+        // Only a manager can take a stay off complimentary
+        if (booking.isComplimentary() && !['admin', 'manager'].includes(req.user.role)) {
+            return sendResponse(res, 403, false, `User role ${req.user.role} is not authorized to change a complimentary stay`);
+        }
+
+        await discountService.removeDiscount(booking, { removedBy: req.user._id });
+        const updatedBooking = await discountService.saveBooking(booking);
+
+        sendResponse(res, 200, true, 'Discount removed successfully', { booking: updatedBooking });
+    } catch (error) {
+        next(error);
+    }
+};
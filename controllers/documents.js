@@ -0,0 +1,62 @@
+const Booking = require('../models/Booking');
+const Invoice = require('../models/Invoice');
+const documentService = require('../services/documents');
+const { sendResponse } = require('../utils/helpers');
+
+// Send a rendered PDF inline so it opens in the browser's print view
+const sendPdf = (res, buffer, filename) => {
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${filename}"`,
+        'Content-Length': buffer.length
+    });
+    res.send(buffer);
+};
+
+// @desc    Printable invoice (tax invoice once issued, proforma bill before)
+// @route   GET /api/bookings/:id/invoice.pdf
+// @access  Private
+exports.getInvoicePdf = async (req, res, next) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return sendResponse(res, 404, false, 'Booking not found');
+        }
+
+        let invoice = null;
+        let creditNotes = [];
+        if (booking.invoice) {
+            [invoice, creditNotes] = await Promise.all([
+                Invoice.findById(booking.invoice),
+                Invoice.find({ against: booking.invoice }).sort({ issuedAt: 1 })
+            ]);
+        }
+
+        const pdf = await documentService.renderInvoice(booking, invoice, creditNotes);
+        const filename = invoice ? `${invoice.number.replace(/\//g, '-')}.pdf` : `proforma-${booking.entryNo}.pdf`;
+
+        sendPdf(res, pdf, filename);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Printable guest registration card
+// @route   GET /api/bookings/:id/registration-card.pdf
+// @access  Private
+exports.getRegistrationCardPdf = async (req, res, next) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return sendResponse(res, 404, false, 'Booking not found');
+        }
+
+        const pdf = await documentService.renderRegistrationCard(booking);
+
+        sendPdf(res, pdf, `registration-${booking.entryNo}.pdf`);
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,184 @@
+const { validationResult } = require('express-validator');
+const Guest = require('../models/Guest');
+const GuestFlag = require('../models/GuestFlag');
+const GuestMerge = require('../models/GuestMerge');
+const guestMergeService = require('../services/guestMerge');
+const { sendResponse, formatAadhaar } = require('../utils/helpers');
+const { hashAadhaar } = require('../utils/aadhaar');
+
+// @desc    Get pairs of guest profiles that may be the same person
+// @route   GET /api/guests/duplicates
+// @access  Private (Admin/Manager only)
+exports.getDuplicateCandidates = async (req, res, next) => {
+    try {
+        const minScore = parseFloat(req.query.minScore) || 0;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+        const candidates = await guestMergeService.findDuplicates({ minScore, limit });
+
+        sendResponse(res, 200, true, 'Duplicate candidates retrieved successfully', {
+            candidates,
+            count: candidates.length
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Merge one guest profile into another
+// @route   POST /api/guests/merge
+// @access  Private (Admin/Manager only)
+exports.mergeGuests = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const result = await guestMergeService.merge(req.body.survivorId, req.body.mergedId, {
+            mergedBy: req.user._id,
+            reason: req.body.reason
+        });
+
+        sendResponse(res, 200, true, 'Guests merged successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get guest merges, newest first
+// @route   GET /api/guests/merges
+// @access  Private (Admin/Manager only)
+exports.getMerges = async (req, res, next) => {
+    try {
+        const query = {};
+        if (req.query.survivor) query.survivor = req.query.survivor;
+
+        const merges = await GuestMerge.find(query)
+            .select('-summariesBefore')
+            .populate('survivor', 'name mobile')
+            .populate('mergedBy', 'username')
+            .populate('undoneBy', 'username')
+            .sort({ mergedAt: -1 })
+            .limit(Math.min(parseInt(req.query.limit) || 50, 200));
+
+        sendResponse(res, 200, true, 'Guest merges retrieved successfully', { merges });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Undo a guest merge
+// @route   POST /api/guests/merges/:id/undo
+// @access  Private (Admin/Manager only)
+exports.undoMerge = async (req, res, next) => {
+    try {
+        const result = await guestMergeService.undo(req.params.id, { undoneBy: req.user._id });
+
+        sendResponse(res, 200, true, 'Guest merge undone successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get watchlist flags
+// @route   GET /api/guests/flags
+// @access  Private (Admin/Manager only)
+exports.getFlags = async (req, res, next) => {
+    try {
+        const { active, severity, category, guest, mobile, aadhaar } = req.query;
+
+        const query = {};
+        if (active !== 'all') query.isActive = active !== 'false';
+        if (severity) query.severity = severity;
+        if (category) query.category = category;
+        if (guest) query.guest = guest;
+        if (mobile) query.mobile = mobile;
+        if (aadhaar) query.aadhaarHash = hashAadhaar(aadhaar);
+
+        const flags = await GuestFlag.find(query)
+            .populate('guest', 'name mobile')
+            .populate('createdBy', 'username')
+            .populate('clearedBy', 'username')
+            .sort({ createdAt: -1 });
+
+        sendResponse(res, 200, true, 'Watchlist flags retrieved successfully', { flags, count: flags.length });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Flag a guest on the watchlist
+// @route   POST /api/guests/flags
+// @access  Private (Admin/Manager only)
+exports.createFlag = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const { guestId, category, severity, reason } = req.body;
+        let { name, mobile, aadhaar } = req.body;
+
+        // Flagging a profile takes its details unless others are given
+        let guest = null;
+        if (guestId) {
+            guest = await Guest.findById(guestId);
+            if (!guest) {
+                return sendResponse(res, 404, false, 'Guest not found');
+            }
+            name = name || guest.name;
+            mobile = mobile || guest.mobile;
+            aadhaar = aadhaar || guest.aadhaar;
+        }
+
+        if (!mobile && !aadhaar) {
+            return sendResponse(res, 400, false, 'A mobile number or Aadhaar number is required');
+        }
+
+        const flag = await GuestFlag.create({
+            guest: guest ? guest._id : null,
+            name,
+            mobile: mobile || null,
+            aadhaar: aadhaar ? formatAadhaar(aadhaar) : null,
+            category,
+            severity,
+            reason,
+            createdBy: req.user._id
+        });
+
+        sendResponse(res, 201, true, 'Guest flagged successfully', { flag });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Clear a watchlist flag
+// @route   POST /api/guests/flags/:id/clear
+// @access  Private (Admin/Manager only)
+exports.clearFlag = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const flag = await GuestFlag.findOneAndUpdate(
+            { _id: req.params.id, isActive: true },
+            { $set: { isActive: false, clearedBy: req.user._id, clearedAt: new Date(), clearReason: req.body.reason } },
+            { new: true }
+        );
+
+        if (!flag) {
+            const exists = await GuestFlag.exists({ _id: req.params.id });
+            return exists
+                ? sendResponse(res, 400, false, 'Flag has already been cleared')
+                : sendResponse(res, 404, false, 'Flag not found');
+        }
+
+        sendResponse(res, 200, true, 'Flag cleared successfully', { flag });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,140 @@
+const { validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const Invoice = require('../models/Invoice');
+const invoiceService = require('../services/invoices');
+const { sendResponse } = require('../utils/helpers');
+
+// @desc    Issue the GST tax invoice for a checked-out booking
+// @route   POST /api/bookings/:id/invoice
+// @access  Private
+exports.generateInvoice = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return sendResponse(res, 404, false, 'Booking not found');
+        }
+
+        if (booking.invoice) {
+            const existing = await Invoice.findById(booking.invoice).select('number');
+            return sendResponse(res, 400, false, `Booking has already been invoiced${existing ? ` (${existing.number})` : ''}`);
+        }
+
+        const { recipientName, recipientGstin } = req.body;
+
+        const result = await invoiceService.issueInvoice(booking, {
+            issuedBy: req.user._id,
+            recipientName,
+            recipientGstin: recipientGstin ? recipientGstin.toUpperCase() : undefined
+        });
+
+        sendResponse(res, 201, true, 'Invoice issued successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get invoices and credit notes
+// @route   GET /api/invoices
+// @access  Private
+exports.getInvoices = async (req, res, next) => {
+    try {
+        const { documentType, financialYear, booking, from, to } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const skip = (page - 1) * limit;
+
+        const query = {};
+        if (documentType && documentType !== 'all') query.documentType = documentType;
+        if (financialYear) query.financialYear = financialYear;
+        if (booking) query.booking = booking;
+        if (from || to) {
+            query.issuedAt = {};
+            if (from) query.issuedAt.$gte = new Date(from);
+            if (to) query.issuedAt.$lte = new Date(to);
+        }
+
+        const [invoices, totalCount] = await Promise.all([
+            Invoice.find(query)
+                .populate('issuedBy', 'username')
+                .sort({ issuedAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Invoice.countDocuments(query)
+        ]);
+
+        const totalPages = Math.ceil(totalCount / limit);
+
+        sendResponse(res, 200, true, 'Invoices retrieved successfully', {
+            invoices,
+            pagination: {
+                page,
+                limit,
+                totalPages,
+                totalCount,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get single invoice or credit note, with any credit notes against it
+// @route   GET /api/invoices/:id
+// @access  Private
+exports.getInvoice = async (req, res, next) => {
+    try {
+        const invoice = await Invoice.findById(req.params.id)
+            .populate('issuedBy', 'username')
+            .populate('against', 'number issuedAt');
+
+        if (!invoice) {
+            return sendResponse(res, 404, false, 'Invoice not found');
+        }
+
+        const creditNotes = invoice.documentType === 'invoice'
+            ? await Invoice.find({ against: invoice._id }).sort({ issuedAt: 1 })
+            : [];
+
+        sendResponse(res, 200, true, 'Invoice retrieved successfully', { invoice, creditNotes });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Issue a credit note against an invoice
+// @route   POST /api/invoices/:id/credit-notes
+// @access  Private (Admin/Manager only)
+exports.createCreditNote = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const invoice = await Invoice.findById(req.params.id);
+
+        if (!invoice) {
+            return sendResponse(res, 404, false, 'Invoice not found');
+        }
+
+        const { taxableValue, reason } = req.body;
+
+        const result = await invoiceService.issueCreditNote(invoice, {
+            taxableValue: taxableValue !== undefined ? Number(taxableValue) : undefined,
+            reason: reason.trim(),
+            issuedBy: req.user._id
+        });
+
+        sendResponse(res, 201, true, 'Credit note issued successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,121 @@
+const { validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const Guest = require('../models/Guest');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const loyaltyService = require('../services/loyalty');
+const paymentService = require('../services/payments');
+const discountService = require('../services/discounts');
+const { loyalty: loyaltyConfig } = require('../config/hotel');
+const { sendResponse } = require('../utils/helpers');
+
+// @desc    Get a guest's loyalty balance, tier and points history
+// @route   GET /api/guests/:id/loyalty
+// @access  Private (Admin/Manager only)
+exports.getGuestLoyalty = async (req, res, next) => {
+    try {
+        const guest = await Guest.findById(req.params.id);
+
+        if (!guest) {
+            return sendResponse(res, 404, false, 'Guest not found');
+        }
+
+        const [loyalty, transactions] = await Promise.all([
+            loyaltyService.statusFor(guest),
+            LoyaltyTransaction.find({ guest: guest._id })
+                .populate('booking', 'entryNo')
+                .populate('createdBy', 'username')
+                .sort({ createdAt: -1 })
+                .limit(Math.min(parseInt(req.query.limit) || 50, 200))
+        ]);
+
+        sendResponse(res, 200, true, 'Loyalty details retrieved successfully', {
+            guest: { _id: guest._id, name: guest.name },
+            loyalty,
+            transactions
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Redeem the main guest's loyalty points as a payment or discount on a booking
+// @route   POST /api/bookings/:id/loyalty-redemptions
+// @access  Private
+exports.redeemPoints = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return sendResponse(res, 404, false, 'Booking not found');
+        }
+        if (!booking.customer) {
+            return sendResponse(res, 400, false, 'Booking is not linked to a guest profile');
+        }
+        if (['cancelled', 'no-show'].includes(booking.status)) {
+            return sendResponse(res, 400, false, `Cannot redeem points on a ${booking.status} booking`);
+        }
+
+        const points = Number(req.body.points);
+        const { redeemAs } = req.body;
+        const value = Math.round(points * loyaltyConfig.pointValue * 100) / 100;
+
+        if (redeemAs === 'payment' && value > (booking.balanceDue || 0)) {
+            return sendResponse(res, 400, false, `Points worth ${value} exceed the balance due (${booking.balanceDue || 0})`);
+        }
+        if (redeemAs === 'discount') {
+            // Discounts change what is billed, so they follow the same rules as other discounts
+            if (booking.invoice) {
+                return sendResponse(res, 400, false, 'Booking has been invoiced; the discount cannot be changed. Issue a credit note instead.');
+            }
+            if (booking.isComplimentary()) {
+                return sendResponse(res, 400, false, 'Points cannot be redeemed on a complimentary stay');
+            }
+            if (value > (booking.grossAmount ?? booking.totalAmount ?? 0)) {
+                return sendResponse(res, 400, false, `Points worth ${value} exceed the bill (${booking.grossAmount ?? booking.totalAmount ?? 0})`);
+            }
+        }
+
+        const { transaction } = await loyaltyService.redeem(booking.customer, points, {
+            booking,
+            redeemedAs: redeemAs,
+            createdBy: req.user._id
+        });
+
+        let result;
+        try {
+            if (redeemAs === 'payment') {
+                result = await paymentService.recordPayment(booking, {
+                    amount: transaction.value,
+                    mode: 'loyalty',
+                    reference: String(transaction._id),
+                    notes: `${points} loyalty points`,
+                    receivedBy: req.user._id
+                });
+            } else {
+                await discountService.applyLoyaltyRedemption(booking, { redemption: transaction, appliedBy: req.user._id });
+                result = { booking: await discountService.saveBooking(booking) };
+            }
+        } catch (error) {
+            // Nothing was applied to the booking, so the points go back
+            await loyaltyService.reinstate({ _id: transaction._id }, {
+                reason: 'Redemption failed',
+                createdBy: req.user._id
+            });
+            throw error;
+        }
+
+        if (result.payment) {
+            transaction.payment = result.payment._id;
+            await transaction.save();
+        }
+
+        sendResponse(res, 201, true, `Loyalty points redeemed as ${redeemAs}`, { ...result, transaction });
+    } catch (error) {
+        next(error);
+    }
+};
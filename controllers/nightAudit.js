@@ -0,0 +1,83 @@
+const { validationResult } = require('express-validator');
+const DayClose = require('../models/DayClose');
+const nightAudit = require('../services/nightAudit');
+const { sendResponse, parseDateKey } = require('../utils/helpers');
+
+// @desc    Run the night audit and close a business day
+// @route   POST /api/night-audit/close
+// @access  Private (Admin/Manager only)
+exports.closeDay = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        // Defaults to yesterday, the latest business date that has ended
+        const yesterday = new Date();
+        yesterday.setDate(yesterday.getDate() - 1);
+        const businessDate = req.body.businessDate ? parseDateKey(req.body.businessDate) : yesterday;
+
+        const dayClose = await nightAudit.closeDay(businessDate, {
+            closedBy: req.user._id,
+            notes: req.body.notes
+        });
+
+        sendResponse(res, 201, true, 'Business day closed successfully', { dayClose });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get closed business days
+// @route   GET /api/night-audit
+// @access  Private
+exports.getDayCloses = async (req, res, next) => {
+    try {
+        const from = parseDateKey(req.query.from);
+        const to = parseDateKey(req.query.to);
+        const limit = Math.min(parseInt(req.query.limit) || 31, 366);
+
+        const query = {};
+        if (from || to) {
+            query.businessDate = {};
+            if (from) query.businessDate.$gte = from;
+            if (to) query.businessDate.$lte = to;
+        }
+
+        const dayCloses = await DayClose.find(query)
+            .populate('closedBy', 'username')
+            .sort({ businessDate: -1 })
+            .limit(limit);
+
+        sendResponse(res, 200, true, 'Closed days retrieved successfully', {
+            dayCloses,
+            lastClosedDate: await DayClose.lastClosedDate()
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get the summary of one closed business day
+// @route   GET /api/night-audit/:date
+// @access  Private
+exports.getDayClose = async (req, res, next) => {
+    try {
+        const businessDate = parseDateKey(req.params.date);
+        if (!businessDate) {
+            return sendResponse(res, 400, false, 'Date must be in YYYY-MM-DD format');
+        }
+
+        const dayClose = await DayClose.findOne({ businessDate })
+            .populate('closedBy', 'username');
+
+        if (!dayClose) {
+            return sendResponse(res, 404, false, 'Business day has not been closed');
+        }
+
+        sendResponse(res, 200, true, 'Closed day retrieved successfully', { dayClose });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,336 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const GatewayOrder = require('../models/GatewayOrder');
+const paymentService = require('../services/payments');
+const reservationService = require('../services/reservations');
+const nightAudit = require('../services/nightAudit');
+const shiftService = require('../services/shifts');
+const onlinePaymentService = require('../services/onlinePayments');
+const { sendResponse } = require('../utils/helpers');
+const { refundApprovalThreshold } = require('../config/hotel');
+
+// @desc    Get payments recorded against a booking
+// @route   GET /api/bookings/:id/payments
+// @access  Private
+exports.getBookingPayments = async (req, res, next) => {
+    try {
+        const booking = await Booking.findById(req.params.id)
+            .select('entryNo customerName totalAmount amountPaid balanceDue paymentStatus status cancellation');
+
+        if (!booking) {
+            return sendResponse(res, 404, false, 'Booking not found');
+        }
+
+        const payments = await Payment.find({ booking: booking._id })
+            .populate('receivedBy', 'username')
+            .sort({ receivedAt: -1 });
+
+        sendResponse(res, 200, true, 'Payments retrieved successfully', {
+            payments,
+            summary: {
+                amountDue: booking.amountDue(),
+                amountPaid: booking.amountPaid,
+                balanceDue: booking.balanceDue,
+                paymentStatus: booking.paymentStatus
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Record a payment against a booking
+// @route   POST /api/bookings/:id/payments
+// @access  Private
+exports.recordPayment = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return sendResponse(res, 404, false, 'Booking not found');
+        }
+
+        const { amount, mode, reference, notes, receivedAt } = req.body;
+
+        // Back-dated payments cannot land on a day closed by the night audit
+        if (receivedAt) {
+            await nightAudit.assertDateOpen(new Date(receivedAt), 'Payment date');
+        }
+
+        const shift = await shiftService.shiftForCollection(req.user);
+
+        const result = await paymentService.recordPayment(booking, {
+            amount: Number(amount),
+            mode,
+            reference,
+            notes,
+            receivedBy: req.user._id,
+            shift,
+            receivedAt: receivedAt ? new Date(receivedAt) : undefined
+        });
+
+        sendResponse(res, 201, true, 'Payment recorded successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Collect an advance deposit against a reservation
+// @route   POST /api/bookings/:id/deposits
+// @access  Private
+exports.recordDeposit = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return sendResponse(res, 404, false, 'Booking not found');
+        }
+
+        // Once the guest has arrived, money taken is an ordinary payment
+        if (!reservationService.pendingArrivalStatuses.includes(booking.status)) {
+            return sendResponse(res, 400, false, `Deposits can only be taken on reserved or confirmed bookings, not ${booking.status}`);
+        }
+
+        const { amount, mode, reference, notes, reason, receivedAt } = req.body;
+
+        if (receivedAt) {
+            await nightAudit.assertDateOpen(new Date(receivedAt), 'Deposit date');
+        }
+
+        const shift = await shiftService.shiftForCollection(req.user);
+
+        const result = await paymentService.recordPayment(booking, {
+            type: 'deposit',
+            amount: Number(amount),
+            mode,
+            reference,
+            notes,
+            reason: reason.trim(),
+            approvedBy: req.user._id,
+            receivedBy: req.user._id,
+            receivedAt: receivedAt ? new Date(receivedAt) : undefined,
+            shift
+        });
+
+        sendResponse(res, 201, true, 'Deposit recorded successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Refund money to the guest
+// @route   POST /api/bookings/:id/refunds
+// @access  Private (Admin/Manager only above the refund approval threshold)
+exports.recordRefund = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return sendResponse(res, 404, false, 'Booking not found');
+        }
+
+        const { amount, mode, reference, notes, reason, receivedAt } = req.body;
+
+        if (receivedAt) {
+            await nightAudit.assertDateOpen(new Date(receivedAt), 'Refund date');
+        }
+
+        const shift = await shiftService.shiftForCollection(req.user);
+
+        const result = await paymentService.recordRefund(booking, {
+            amount: Number(amount),
+            mode,
+            reference,
+            notes,
+            reason: reason.trim(),
+            // Staff approve refunds within the threshold themselves; beyond it only a manager or admin can
+            approvedBy: req.user._id,
+            approvalThreshold: refundApprovalThreshold,
+            canApprove: ['admin', 'manager'].includes(req.user.role),
+            receivedBy: req.user._id,
+            receivedAt: receivedAt ? new Date(receivedAt) : undefined,
+            shift
+        });
+
+        sendResponse(res, 201, true, 'Refund recorded successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get ledger entries across bookings with net totals by mode (cash drawer reconciliation)
+// @route   GET /api/payments
+// @access  Private
+exports.getPayments = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const { from, to, type, mode, receivedBy, shift, includeVoided } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const skip = (page - 1) * limit;
+
+        const query = {};
+        if (from || to) {
+            query.receivedAt = {};
+            if (from) query.receivedAt.$gte = new Date(from);
+            if (to) query.receivedAt.$lte = new Date(to);
+        }
+        if (type && type !== 'all') query.type = type;
+        if (mode && mode !== 'all') query.mode = mode;
+        if (receivedBy) query.receivedBy = new mongoose.Types.ObjectId(receivedBy);
+        if (shift) query.shift = new mongoose.Types.ObjectId(shift);
+        if (includeVoided !== 'true') query.voided = false;
+
+        const [payments, totalCount, totalsByMode] = await Promise.all([
+            Payment.find(query)
+                .populate('booking', 'entryNo serialNo customerName room')
+                .populate('receivedBy', 'username')
+                .sort({ receivedAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Payment.countDocuments(query),
+            Payment.aggregate([
+                { $match: { ...query, voided: false } },
+                // Refunds paid out of the drawer count against its total
+                { $group: { _id: '$mode', total: { $sum: Payment.SIGNED_AMOUNT_EXPR }, count: { $sum: 1 } } },
+                { $sort: { _id: 1 } }
+            ])
+        ]);
+
+        const totalPages = Math.ceil(totalCount / limit);
+
+        sendResponse(res, 200, true, 'Payments retrieved successfully', {
+            payments,
+            totalsByMode,
+            grandTotal: totalsByMode.reduce((sum, row) => sum + row.total, 0),
+            pagination: {
+                page,
+                limit,
+                totalPages,
+                totalCount,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Void a ledger entry (entries are never edited or deleted)
+// @route   POST /api/payments/:id/void
+// @access  Private (Admin/Manager only)
+exports.voidPayment = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const payment = await Payment.findById(req.params.id);
+
+        if (!payment) {
+            return sendResponse(res, 404, false, 'Payment not found');
+        }
+
+        if (payment.voided) {
+            return sendResponse(res, 400, false, 'Payment is already voided');
+        }
+
+        // An entry received on a day closed by the night audit is part of that day's collections
+        await nightAudit.assertDateOpen(payment.receivedAt, 'Payment date');
+
+        const result = await paymentService.voidPayment(payment._id, {
+            voidedBy: req.user._id,
+            reason: req.body.reason.trim()
+        });
+
+        if (!result) {
+            return sendResponse(res, 400, false, 'Payment is already voided');
+        }
+
+        sendResponse(res, 200, true, 'Payment voided successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get online payment orders created for a booking
+// @route   GET /api/bookings/:id/payment-orders
+// @access  Private
+exports.getPaymentOrders = async (req, res, next) => {
+    try {
+        const orders = await GatewayOrder.find({ booking: req.params.id })
+            .populate('createdBy', 'username')
+            .sort({ createdAt: -1 });
+
+        sendResponse(res, 200, true, 'Payment orders retrieved successfully', { orders });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create an online payment order for a booking's balance
+// @route   POST /api/bookings/:id/payment-orders
+// @access  Private
+exports.createPaymentOrder = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return sendResponse(res, 404, false, 'Booking not found');
+        }
+
+        const result = await onlinePaymentService.createOrder(booking, {
+            amount: req.body.amount !== undefined ? Number(req.body.amount) : undefined,
+            createdBy: req.user._id
+        });
+
+        sendResponse(res, 201, true, 'Payment order created successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Receive a payment gateway webhook (signature checked against the raw body)
+// @route   POST /api/webhooks/payment-gateway
+// @access  Public
+exports.handleGatewayWebhook = async (req, res, next) => {
+    try {
+        if (!Buffer.isBuffer(req.body)) {
+            return sendResponse(res, 400, false, 'Webhook body must be sent as application/json');
+        }
+
+        const result = await onlinePaymentService.handleWebhook(req.body, req.headers);
+
+        sendResponse(res, 200, true, 'Webhook processed', result);
+    } catch (error) {
+        next(error);
+    }
+};
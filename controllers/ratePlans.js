@@ -0,0 +1,156 @@
+const { validationResult } = require('express-validator');
+const RatePlan = require('../models/RatePlan');
+const Booking = require('../models/Booking');
+const { sendResponse } = require('../utils/helpers');
+
+const RATE_PLAN_FIELDS = ['name', 'roomType', 'baseRate', 'weekendDays', 'weekendUpliftPercent', 'seasons', 'festivals', 'isActive'];
+
+// @desc    Get all rate plans
+// @route   GET /api/rate-plans
+// @access  Private
+exports.getRatePlans = async (req, res, next) => {
+    try {
+        const query = {};
+        if (req.query.roomType && req.query.roomType !== 'all') query.roomType = req.query.roomType;
+        if (req.query.active === 'true') query.isActive = true;
+        if (req.query.active === 'false') query.isActive = false;
+
+        const ratePlans = await RatePlan.find(query).sort({ roomType: 1, updatedAt: -1 });
+
+        sendResponse(res, 200, true, 'Rate plans retrieved successfully', { ratePlans, count: ratePlans.length });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Quote a nightly stay night by night
+// @route   GET /api/rate-plans/quote?room=&checkIn=&checkOut=
+// @access  Private
+exports.getQuote = async (req, res, next) => {
+    try {
+        const { room, checkIn, checkOut } = req.query;
+
+        if (!room || !checkIn || !checkOut) {
+            return sendResponse(res, 400, false, 'Room, check-in and check-out are required');
+        }
+
+        const arrival = new Date(checkIn);
+        const departure = new Date(checkOut);
+        if (isNaN(arrival.getTime()) || isNaN(departure.getTime()) || departure < arrival) {
+            return sendResponse(res, 400, false, 'Check-in and check-out must be valid dates, in order');
+        }
+
+        // Price an unsaved booking with the same rules used when it is saved
+        const booking = new Booking({ room, checkIn: arrival, checkOut: departure, rent: 0, pricingMode: 'nightly' });
+        await booking.buildNightlyRates();
+
+        if (!booking.ratePlan) {
+            return sendResponse(res, 404, false, 'No active rate plan applies to this room');
+        }
+
+        const totalAmount = booking.calculateTotalAmount();
+
+        sendResponse(res, 200, true, 'Quote calculated successfully', {
+            ratePlan: booking.ratePlan,
+            nightlyRates: booking.nightlyRates,
+            roomCharge: booking.roomCharge,
+            surcharges: booking.surcharges,
+            totalAmount
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get single rate plan
+// @route   GET /api/rate-plans/:id
+// @access  Private
+exports.getRatePlan = async (req, res, next) => {
+    try {
+        const ratePlan = await RatePlan.findById(req.params.id);
+
+        if (!ratePlan) {
+            return sendResponse(res, 404, false, 'Rate plan not found');
+        }
+
+        sendResponse(res, 200, true, 'Rate plan retrieved successfully', { ratePlan });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create rate plan
+// @route   POST /api/rate-plans
+// @access  Private (Admin/Manager only)
+exports.createRatePlan = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const data = { createdBy: req.user._id };
+        RATE_PLAN_FIELDS.forEach(key => {
+            if (req.body[key] !== undefined) data[key] = req.body[key];
+        });
+
+        const ratePlan = await RatePlan.create(data);
+
+        sendResponse(res, 201, true, 'Rate plan created successfully', { ratePlan });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update rate plan
+// @route   PUT /api/rate-plans/:id
+// @access  Private (Admin/Manager only)
+exports.updateRatePlan = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const ratePlan = await RatePlan.findById(req.params.id);
+
+        if (!ratePlan) {
+            return sendResponse(res, 404, false, 'Rate plan not found');
+        }
+
+        RATE_PLAN_FIELDS.forEach(key => {
+            if (req.body[key] !== undefined) ratePlan[key] = req.body[key];
+        });
+
+        const updatedRatePlan = await ratePlan.save();
+
+        sendResponse(res, 200, true, 'Rate plan updated successfully', { ratePlan: updatedRatePlan });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete rate plan
+// @route   DELETE /api/rate-plans/:id
+// @access  Private (Admin/Manager only)
+exports.deleteRatePlan = async (req, res, next) => {
+    try {
+        const ratePlan = await RatePlan.findById(req.params.id);
+
+        if (!ratePlan) {
+            return sendResponse(res, 404, false, 'Rate plan not found');
+        }
+
+        // Bookings keep a reference to the plan that priced them
+        const bookingCount = await Booking.countDocuments({ ratePlan: ratePlan._id });
+        if (bookingCount > 0) {
+            return sendResponse(res, 400, false, 'Rate plan has priced bookings and cannot be deleted. Deactivate it instead.');
+        }
+
+        await RatePlan.findByIdAndDelete(req.params.id);
+
+        sendResponse(res, 200, true, 'Rate plan deleted successfully');
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,271 @@
+const { validationResult } = require('express-validator');
+const Room = require('../models/Room');
+const Booking = require('../models/Booking');
+const roomAvailability = require('../services/roomAvailability');
+const { sendResponse, parseDateKey } = require('../utils/helpers');
+
+const MAX_AVAILABILITY_DAYS = 92;
+
+// @desc    Get all rooms
+// @route   GET /api/rooms
+// @access  Private
+exports.getRooms = async (req, res, next) => {
+    try {
+        const { type, floor, active } = req.query;
+
+        const query = {};
+        if (type && type !== 'all') query.type = type;
+        if (floor !== undefined && floor !== '') query.floor = parseInt(floor);
+        if (active === 'true') query.isActive = true;
+        if (active === 'false') query.isActive = false;
+
+        const rooms = await Room.find(query).sort({ floor: 1, roomNumber: 1 });
+
+        sendResponse(res, 200, true, 'Rooms retrieved successfully', { rooms, count: rooms.length });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get room availability grid (rooms x dates)
+// @route   GET /api/rooms/availability?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private
+exports.getAvailability = async (req, res, next) => {
+    try {
+        const from = parseDateKey(req.query.from);
+        const to = parseDateKey(req.query.to);
+
+        if (!from || !to) {
+            return sendResponse(res, 400, false, 'from and to dates are required in YYYY-MM-DD format');
+        }
+        if (to < from) {
+            return sendResponse(res, 400, false, 'to date cannot be before from date');
+        }
+
+        const dayCount = Math.round((to - from) / (1000 * 60 * 60 * 24)) + 1;
+        if (dayCount > MAX_AVAILABILITY_DAYS) {
+            return sendResponse(res, 400, false, `Availability can be requested for at most ${MAX_AVAILABILITY_DAYS} days`);
+        }
+
+        const availability = await roomAvailability.getAvailabilityGrid(from, to);
+
+        sendResponse(res, 200, true, 'Room availability retrieved successfully', availability);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get single room
+// @route   GET /api/rooms/:id
+// @access  Private
+exports.getRoom = async (req, res, next) => {
+    try {
+        const room = await Room.findById(req.params.id);
+
+        if (!room) {
+            return sendResponse(res, 404, false, 'Room not found');
+        }
+
+        sendResponse(res, 200, true, 'Room retrieved successfully', { room });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create room
+// @route   POST /api/rooms
+// @access  Private (Admin/Manager only)
+exports.createRoom = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const { roomNumber, type, floor, capacity, baseTariff, hourlyRate, dayUseRate, amenities, isActive, notes } = req.body;
+
+        const existingRoom = await Room.findOne({ roomNumber: roomNumber.trim() });
+        if (existingRoom) {
+            return sendResponse(res, 400, false, 'Room number already exists');
+        }
+
+        const room = await Room.create({
+            roomNumber,
+            type,
+            floor,
+            capacity,
+            baseTariff,
+            hourlyRate,
+            dayUseRate,
+            amenities,
+            isActive,
+            notes,
+            createdBy: req.user._id
+        });
+
+        sendResponse(res, 201, true, 'Room created successfully', { room });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update room
+// @route   PUT /api/rooms/:id
+// @access  Private (Admin/Manager only)
+exports.updateRoom = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const room = await Room.findById(req.params.id);
+
+        if (!room) {
+            return sendResponse(res, 404, false, 'Room not found');
+        }
+
+        // Renaming a room would orphan the bookings that point at its number
+        const { roomNumber } = req.body;
+        if (roomNumber && roomNumber.trim() !== room.roomNumber) {
+            const bookingCount = await Booking.countDocuments({ room: room.roomNumber });
+            if (bookingCount > 0) {
+                return sendResponse(res, 400, false, 'Cannot change the number of a room that has bookings');
+            }
+        }
+
+        const updatableFields = ['roomNumber', 'type', 'floor', 'capacity', 'baseTariff', 'hourlyRate', 'dayUseRate', 'amenities', 'isActive', 'notes'];
+        updatableFields.forEach(key => {
+            if (req.body[key] !== undefined) {
+                room[key] = req.body[key];
+            }
+        });
+
+        const updatedRoom = await room.save();
+
+        sendResponse(res, 200, true, 'Room updated successfully', { room: updatedRoom });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete room
+// @route   DELETE /api/rooms/:id
+// @access  Private (Admin/Manager only)
+exports.deleteRoom = async (req, res, next) => {
+    try {
+        const room = await Room.findById(req.params.id);
+
+        if (!room) {
+            return sendResponse(res, 404, false, 'Room not found');
+        }
+
+        // Keep rooms with booking history; they can be deactivated instead
+        const bookingCount = await Booking.countDocuments({ room: room.roomNumber });
+        if (bookingCount > 0) {
+            return sendResponse(res, 400, false, 'Room has bookings and cannot be deleted. Deactivate it instead.');
+        }
+
+        await Room.findByIdAndDelete(req.params.id);
+
+        sendResponse(res, 200, true, 'Room deleted successfully');
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Block a room for a date range
+// @route   POST /api/rooms/:id/blocks
+// @access  Private (Admin/Manager only)
+exports.addRoomBlock = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const room = await Room.findById(req.params.id);
+
+        if (!room) {
+            return sendResponse(res, 404, false, 'Room not found');
+        }
+
+        const { from, to, reason } = req.body;
+
+        // Checked and saved under the room lock, like bookings, so a stay saved
+        // at the same moment cannot slip into the blocked range
+        const result = await roomAvailability.withRoomLock(room.roomNumber, async () => {
+            const conflict = await roomAvailability.findConflict({
+                room: room.roomNumber,
+                checkIn: from,
+                checkOut: to
+            });
+            // Bookings are checked before blocks, so a block result means no stay clashes;
+            // overlapping blocks are allowed
+            if (conflict && !conflict.block) {
+                return { conflict };
+            }
+
+            const lockedRoom = await Room.findById(room._id);
+            if (!lockedRoom) {
+                return {};
+            }
+            lockedRoom.blocks.push({
+                from: new Date(from),
+                to: new Date(to),
+                reason,
+                createdBy: req.user._id
+            });
+            return { room: await lockedRoom.save() };
+        });
+
+        if (result.conflict) {
+            const { conflict } = result;
+            return sendResponse(res, 409, false,
+                `Room ${room.roomNumber} is already booked for these dates (entry no. ${conflict.entryNo})`,
+                {
+                    conflict: {
+                        _id: conflict._id,
+                        entryNo: conflict.entryNo,
+                        customerName: conflict.customerName,
+                        checkIn: conflict.checkIn,
+                        checkOut: conflict.checkOut,
+                        status: conflict.status
+                    }
+                });
+        }
+
+        if (!result.room) {
+            return sendResponse(res, 404, false, 'Room not found');
+        }
+
+        sendResponse(res, 201, true, 'Room blocked successfully', { room: result.room });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Remove a room block
+// @route   DELETE /api/rooms/:id/blocks/:blockId
+// @access  Private (Admin/Manager only)
+exports.removeRoomBlock = async (req, res, next) => {
+    try {
+        const room = await Room.findById(req.params.id);
+
+        if (!room) {
+            return sendResponse(res, 404, false, 'Room not found');
+        }
+
+        const block = room.blocks.id(req.params.blockId);
+        if (!block) {
+            return sendResponse(res, 404, false, 'Room block not found');
+        }
+
+        block.deleteOne();
+        const updatedRoom = await room.save();
+
+        sendResponse(res, 200, true, 'Room block removed successfully', { room: updatedRoom });
+    } catch (error) {
+        next(error);
+    }
+};
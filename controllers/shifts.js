@@ -0,0 +1,203 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Shift = require('../models/Shift');
+const Payment = require('../models/Payment');
+const shiftService = require('../services/shifts');
+const { sendResponse } = require('../utils/helpers');
+
+const isSupervisor = (user) => ['admin', 'manager'].includes(user.role);
+
+// Staff can only see and close their own shifts
+const canAccessShift = (user, shift) => isSupervisor(user) || shift.user.equals(user._id);
+
+// Shift filters shared by the list and the variance report
+const buildShiftQuery = ({ from, to, user, status }) => {
+    const query = {};
+    if (from || to) {
+        query.openedAt = {};
+        if (from) query.openedAt.$gte = new Date(from);
+        if (to) query.openedAt.$lte = new Date(to);
+    }
+    if (user) query.user = new mongoose.Types.ObjectId(user);
+    if (status && status !== 'all') query.status = status;
+    return query;
+};
+
+// @desc    Open a cashier shift with an opening cash float
+// @route   POST /api/shifts/open
+// @access  Private
+exports.openShift = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const shift = await shiftService.openShift(req.user, {
+            openingFloat: Number(req.body.openingFloat),
+            notes: req.body.notes
+        });
+
+        sendResponse(res, 201, true, 'Shift opened successfully', { shift });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get the current user's open shift with collections so far
+// @route   GET /api/shifts/current
+// @access  Private
+exports.getCurrentShift = async (req, res, next) => {
+    try {
+        const shift = await shiftService.currentShift(req.user._id);
+
+        if (!shift) {
+            return sendResponse(res, 404, false, 'No shift is open');
+        }
+
+        sendResponse(res, 200, true, 'Shift retrieved successfully', {
+            shift,
+            ...(await shiftService.summarize(shift))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get cashier shifts
+// @route   GET /api/shifts
+// @access  Private (staff see only their own)
+exports.getShifts = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const skip = (page - 1) * limit;
+
+        const query = buildShiftQuery({
+            ...req.query,
+            user: isSupervisor(req.user) ? req.query.user : req.user._id
+        });
+
+        const [shifts, totalCount] = await Promise.all([
+            Shift.find(query)
+                .populate('user', 'username role')
+                .populate('closedBy', 'username')
+                .sort({ openedAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Shift.countDocuments(query)
+        ]);
+
+        const totalPages = Math.ceil(totalCount / limit);
+
+        sendResponse(res, 200, true, 'Shifts retrieved successfully', {
+            shifts,
+            pagination: {
+                page,
+                limit,
+                totalPages,
+                totalCount,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Cash variance per closed shift and per user
+// @route   GET /api/shifts/variance
+// @access  Private (Admin/Manager only)
+exports.getVarianceReport = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const query = buildShiftQuery({ ...req.query, status: 'closed' });
+
+        const [shifts, byUser] = await Promise.all([
+            Shift.find(query)
+                .select('user openingFloat expectedCash countedCash variance openedAt closedAt closingNotes')
+                .populate('user', 'username role')
+                .sort({ closedAt: -1 })
+                .limit(500),
+            shiftService.varianceByUser(query)
+        ]);
+
+        sendResponse(res, 200, true, 'Shift variance report generated successfully', {
+            shifts,
+            byUser,
+            totals: {
+                shifts: byUser.reduce((sum, row) => sum + row.shifts, 0),
+                variance: Math.round(byUser.reduce((sum, row) => sum + row.variance, 0) * 100) / 100,
+                shortages: Math.round(byUser.reduce((sum, row) => sum + row.shortages, 0) * 100) / 100,
+                overages: Math.round(byUser.reduce((sum, row) => sum + row.overages, 0) * 100) / 100
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get a shift with the payments taken during it
+// @route   GET /api/shifts/:id
+// @access  Private (staff see only their own)
+exports.getShift = async (req, res, next) => {
+    try {
+        const shift = await Shift.findById(req.params.id)
+            .populate('user', 'username role')
+            .populate('closedBy', 'username');
+
+        if (!shift || !canAccessShift(req.user, { user: shift.user._id })) {
+            return sendResponse(res, 404, false, 'Shift not found');
+        }
+
+        const payments = await Payment.find({ shift: shift._id })
+            .populate('booking', 'entryNo customerName room')
+            .sort({ receivedAt: -1 });
+
+        sendResponse(res, 200, true, 'Shift retrieved successfully', {
+            shift,
+            payments,
+            ...(shift.status === 'open' && await shiftService.summarize(shift))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Close a shift with the cash counted in the drawer
+// @route   POST /api/shifts/:id/close
+// @access  Private (own shift, or Admin/Manager)
+exports.closeShift = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendResponse(res, 400, false, 'Validation failed', { errors: errors.array() });
+        }
+
+        const shift = await Shift.findById(req.params.id);
+
+        if (!shift || !canAccessShift(req.user, shift)) {
+            return sendResponse(res, 404, false, 'Shift not found');
+        }
+
+        const closed = await shiftService.closeShift(shift, {
+            countedCash: Number(req.body.countedCash),
+            notes: req.body.notes,
+            closedBy: req.user._id
+        });
+
+        sendResponse(res, 200, true, 'Shift closed successfully', { shift: closed });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Audit log entry for each time a full Aadhaar number was shown to a user
+const aadhaarRevealSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        required: true
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        default: null
+    },
+    guest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Guest',
+        default: null
+    },
+    // Number of Aadhaar numbers shown (a booking can carry several guests')
+    count: {
+        type: Number,
+        default: 1
+    },
+    reason: {
+        type: String,
+        required: [true, 'A reason is required to reveal an Aadhaar number'],
+        trim: true,
+        maxlength: [200, 'Reason cannot exceed 200 characters']
+    },
+    ip: String,
+    revealedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Create indexes
+aadhaarRevealSchema.index({ revealedAt: -1 });
+aadhaarRevealSchema.index({ user: 1, revealedAt: -1 });
+aadhaarRevealSchema.index({ booking: 1 });
+aadhaarRevealSchema.index({ guest: 1 });
+
+module.exports = mongoose.model('AadhaarReveal', aadhaarRevealSchema);
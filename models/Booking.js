@@ -1,4 +1,27 @@
 const mongoose = require('mongoose');
+const Room = require('./Room');
+const RatePlan = require('./RatePlan');
+const { calculateBillableUnits, calculateStaySurcharges, getStayNights, formatDateKey, isValidAadhaar } = require('../utils/helpers');
+const { aadhaarPath, decryptAadhaar, hashAadhaar, maskAadhaarFields } = require('../utils/aadhaar');
+
+// Allowed status changes: current status -> statuses it may move to
+const STATUS_TRANSITIONS = {
+    'reserved': ['confirmed', 'checked-in', 'cancelled', 'no-show'],
+    'confirmed': ['checked-in', 'cancelled', 'no-show'],
+    'checked-in': ['checked-out'],
+    'checked-out': [],
+    'no-show': ['checked-in', 'cancelled'],
+    'cancelled': []
+};
+
+// Discount kinds; a complimentary stay waives the whole bill
+const DISCOUNT_KINDS = ['percent', 'flat', 'complimentary'];
+
+// Folio categories for extras posted to a booking
+const CHARGE_CATEGORIES = ['food', 'laundry', 'extra-bed', 'minibar', 'other'];
+
+// Fields the bill is calculated from; locked once a tax invoice is issued
+const BILLABLE_FIELDS = ['room', 'rent', 'checkIn', 'checkOut', 'pricingMode', 'ratePlan'];
 
 const bookingSchema = new mongoose.Schema({
     serialNo: {
@@ -11,10 +34,12 @@ const bookingSchema = new mongoose.Schema({
         required: true,
         unique: true
     },
+    // Guest profile of the primary customer; name, mobile and Aadhaar are also kept
+    // on the booking as they were at the time of the stay
     customer: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'Customer',
-        required: false // Made optional since we're embedding customer data
+        ref: 'Guest',
+        default: null
     },
     customerName: {
         type: String,
@@ -24,9 +49,13 @@ const bookingSchema = new mongoose.Schema({
         type: String,
         required: true
     },
-    customerAadhaar: {
-        type: String,
+    // Stored encrypted; customerAadhaarHash is used to look it up
+    customerAadhaar: aadhaarPath({
         required: true
+    }),
+    customerAadhaarHash: {
+        type: String,
+        default: null
     },
     // Group booking support - additional guests
     groupSize: {
@@ -36,6 +65,12 @@ const bookingSchema = new mongoose.Schema({
         max: [20, 'Group size cannot exceed 20 people']
     },
     additionalGuests: [{
+        // Guest profile, when the guest gave a mobile or Aadhaar
+        guest: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Guest',
+            default: null
+        },
         name: {
             type: String,
             required: true,
@@ -53,16 +88,19 @@ const bookingSchema = new mongoose.Schema({
                 message: 'Please enter a valid mobile number (10 digits starting with 6-9)'
             }
         },
-        aadhaar: {
-            type: String,
+        aadhaar: aadhaarPath({
             required: false,
             validate: {
                 validator: function (v) {
                     // Only validate if value is provided and not empty
-                    return !v || v === '' || /^\d{4}-\d{4}-\d{4}$/.test(v);
+                    return !v || v === '' || isValidAadhaar(decryptAadhaar(v));
                 },
                 message: 'Please enter Aadhaar in XXXX-XXXX-XXXX format'
             }
+        }),
+        aadhaarHash: {
+            type: String,
+            default: null
         },
         documents: [{
             type: String // Cloudinary URLs for this guest's documents
@@ -86,11 +124,197 @@ const bookingSchema = new mongoose.Schema({
         default: 'TBD',
         maxlength: [10, 'Room number cannot exceed 10 characters']
     },
+    // Nightly, hourly or day-use; rent is the rate per unit of this mode
+    pricingMode: {
+        type: String,
+        enum: ['nightly', 'hourly', 'day-use'],
+        default: 'nightly'
+    },
     rent: {
         type: Number,
         required: [true, 'Room rent is required'],
         min: [0, 'Rent cannot be negative']
     },
+    billableUnits: {
+        type: Number,
+        default: null
+    },
+    // Night-by-night prices for nightly stays; roomCharge is their sum
+    nightlyRates: [{
+        date: {
+            type: Date,
+            required: true
+        },
+        rate: {
+            type: Number,
+            required: true,
+            min: [0, 'Nightly rate cannot be negative']
+        },
+        source: {
+            type: String,
+            enum: ['base', 'season', 'weekend', 'festival', 'manual', 'rent']
+        },
+        label: {
+            type: String
+        }
+    }],
+    ratePlan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RatePlan',
+        default: null
+    },
+    // Set when the clerk priced the stay by hand instead of using the rate plan
+    rateOverride: {
+        reason: {
+            type: String,
+            maxlength: [200, 'Override reason cannot exceed 200 characters']
+        },
+        overriddenBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        overriddenAt: {
+            type: Date
+        }
+    },
+    // Rent for the billable units, before surcharges
+    roomCharge: {
+        type: Number,
+        default: 0
+    },
+    // Early check-in / late checkout charges against the standard hotel times
+    surcharges: [{
+        type: {
+            type: String,
+            enum: ['early-check-in', 'late-check-out'],
+            required: true
+        },
+        hours: {
+            type: Number
+        },
+        percentOfRent: {
+            type: Number
+        },
+        amount: {
+            type: Number,
+            required: true,
+            min: [0, 'Surcharge cannot be negative']
+        }
+    }],
+    // Folio: extras and incidentals posted during the stay
+    charges: [{
+        category: {
+            type: String,
+            enum: CHARGE_CATEGORIES,
+            required: [true, 'Charge category is required']
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Charge description cannot exceed 200 characters']
+        },
+        quantity: {
+            type: Number,
+            default: 1,
+            min: [0.01, 'Quantity must be greater than 0']
+        },
+        unitPrice: {
+            type: Number,
+            required: [true, 'Unit price is required'],
+            min: [0, 'Unit price cannot be negative']
+        },
+        // GST rate (%) charged on this line when invoiced
+        taxRate: {
+            type: Number,
+            default: 0,
+            min: [0, 'Tax rate cannot be negative']
+        },
+        amount: {
+            type: Number,
+            required: true
+        },
+        postedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        postedAt: {
+            type: Date,
+            default: Date.now
+        },
+        voided: {
+            type: Boolean,
+            default: false
+        },
+        voidReason: String,
+        voidedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        voidedAt: Date
+    }],
+    // Sum of non-voided folio charges (before tax)
+    extrasAmount: {
+        type: Number,
+        default: 0
+    },
+    // Room charge posted by the night audit for each night spent in-house
+    roomPostings: [{
+        _id: false,
+        date: {
+            type: Date,
+            required: true
+        },
+        rate: Number, // Before discount
+        amount: Number, // After discount
+        postedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Set by the night audit when the guest is still checked in past checkOut
+    overstayFlaggedAt: {
+        type: Date,
+        default: null
+    },
+    // Room charges plus extras before any discount
+    grossAmount: {
+        type: Number,
+        default: null
+    },
+    // Discount on the whole bill, ad hoc with a reason or from a coupon
+    discount: {
+        kind: {
+            type: String,
+            enum: DISCOUNT_KINDS
+        },
+        value: {
+            type: Number, // Percentage for 'percent', rupees for 'flat'
+            min: [0, 'Discount cannot be negative']
+        },
+        amount: {
+            type: Number,
+            default: 0
+        },
+        reason: {
+            type: String,
+            maxlength: [200, 'Discount reason cannot exceed 200 characters']
+        },
+        coupon: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon'
+        },
+        couponCode: String,
+        // Set when the discount was paid for with loyalty points
+        loyaltyRedemption: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'LoyaltyTransaction'
+        },
+        appliedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        appliedAt: Date
+    },
     checkIn: {
         type: Date,
         required: [true, 'Check-in date is required']
@@ -100,16 +324,128 @@ const bookingSchema = new mongoose.Schema({
         required: false,
         default: null
     },
+    // Planned arrival for advance reservations; checkIn becomes the actual arrival
+    expectedCheckIn: {
+        type: Date,
+        default: null
+    },
     status: {
         type: String,
-        enum: ['checked-in', 'checked-out', 'cancelled'],
+        enum: ['reserved', 'confirmed', 'checked-in', 'checked-out', 'cancelled', 'no-show'],
         default: 'checked-in'
     },
+    statusHistory: [{
+        from: {
+            type: String,
+            default: null
+        },
+        to: {
+            type: String,
+            required: true
+        },
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        },
+        reason: {
+            type: String,
+            maxlength: [200, 'Reason cannot exceed 200 characters']
+        }
+    }],
+    // Extensions and early checkouts, with the dates and totals before and after
+    stayChanges: [{
+        type: {
+            type: String,
+            enum: ['extension', 'early-checkout'],
+            required: true
+        },
+        previousCheckOut: {
+            type: Date,
+            default: null
+        },
+        newCheckOut: {
+            type: Date,
+            required: true
+        },
+        previousTotalAmount: {
+            type: Number
+        },
+        newTotalAmount: {
+            type: Number
+        },
+        reason: {
+            type: String,
+            maxlength: [200, 'Reason cannot exceed 200 characters']
+        },
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Current tax invoice; cleared when it is fully reversed by a credit note
+    invoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+        default: null
+    },
+    // Invoice grand total incl. GST, less any partial credit notes
+    invoiceTotal: {
+        type: Number,
+        default: null
+    },
+    cancellation: {
+        reason: {
+            type: String,
+            maxlength: [200, 'Cancellation reason cannot exceed 200 characters']
+        },
+        cancelledAt: {
+            type: Date
+        },
+        cancelledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        fee: {
+            type: Number,
+            default: 0,
+            min: [0, 'Cancellation fee cannot be negative']
+        },
+        policy: {
+            type: String // Description of the policy rule that produced the fee
+        }
+    },
+    // Derived from amountPaid against the amount due; never set directly
     paymentStatus: {
         type: String,
         enum: ['pending', 'paid', 'partial'],
         default: 'pending'
     },
+    // Sum of non-voided payments from the payments ledger
+    amountPaid: {
+        type: Number,
+        default: 0
+    },
+    // Sum of non-voided refunds, kept beside amountPaid so a refund can be checked against
+    // the amount collected and the approval threshold in one atomic update
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    // Amount due minus amount paid; negative when the guest is in credit
+    balanceDue: {
+        type: Number,
+        default: 0
+    },
+    // Room charges, surcharges and folio extras, before GST
     totalAmount: {
         type: Number,
         default: 0
@@ -152,20 +488,270 @@ bookingSchema.pre('validate', function (next) {
     }
 });
 
-// Calculate total amount based on dates and rent
+// Keep the Aadhaar lookup hashes in step with the encrypted numbers
+bookingSchema.pre('validate', function (next) {
+    this.customerAadhaarHash = hashAadhaar(this.customerAadhaar);
+    (this.additionalGuests || []).forEach(guest => {
+        guest.aadhaarHash = hashAadhaar(guest.aadhaar);
+    });
+    next();
+});
+
+// Rebuild the nightly breakdown when anything that affects it has changed
+bookingSchema.pre('save', async function () {
+    const pricingFields = ['checkIn', 'checkOut', 'room', 'pricingMode', 'rent', 'rateOverride'];
+    if (this.isNew || pricingFields.some(field => this.isModified(field))) {
+        await this.buildNightlyRates();
+    }
+});
+
+// Calculate total amount from dates, rent and folio charges
 bookingSchema.pre('save', function (next) {
     // Update group size based on additional guests
     this.groupSize = 1 + (this.additionalGuests ? this.additionalGuests.length : 0);
 
-    if (this.checkIn && this.checkOut && this.rent) {
-        const days = Math.ceil((this.checkOut - this.checkIn) / (1000 * 60 * 60 * 24));
-        // Ensure minimum 1 day charge for same-day checkout
-        this.totalAmount = Math.max(days, 1) * this.rent;
-    }
+    this.totalAmount = this.calculateTotalAmount();
+    this.updatePaymentStatus();
     this.updatedAt = Date.now();
     next();
 });
 
+// Responses only ever carry masked Aadhaar numbers
+bookingSchema.set('toJSON', { transform: (doc, ret) => maskAadhaarFields(ret) });
+
+bookingSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+bookingSchema.statics.BILLABLE_FIELDS = BILLABLE_FIELDS;
+bookingSchema.statics.CHARGE_CATEGORIES = CHARGE_CATEGORIES;
+bookingSchema.statics.DISCOUNT_KINDS = DISCOUNT_KINDS;
+
+// Whether a submitted value would change one of the billable fields
+bookingSchema.methods.changesBillableField = function (key, value) {
+    const current = this[key];
+    if (current instanceof Date) {
+        return new Date(value).getTime() !== current.getTime();
+    }
+    return String(value) !== String(current);
+};
+
+// Whether the rent was set by hand with a reason rather than taken from a rate plan
+bookingSchema.methods.hasRateOverride = function () {
+    return Boolean(this.rateOverride && this.rateOverride.reason);
+};
+
+// Price each night of a nightly stay from the room type's rate plan, or from the
+// booking's rent when there is no plan or the rent was overridden
+bookingSchema.methods.buildNightlyRates = async function () {
+    if (this.pricingMode !== 'nightly' || !this.checkIn || !this.checkOut) {
+        this.nightlyRates = [];
+        return this;
+    }
+
+    const nights = getStayNights(this.checkIn, this.checkOut);
+
+    let plan = null;
+    if (!this.hasRateOverride() && this.room && this.room !== 'TBD') {
+        const room = await Room.findOne({ roomNumber: this.room }).select('type');
+        if (room) {
+            plan = await RatePlan.findActiveForType(room.type);
+        }
+    }
+
+    if (plan) {
+        this.ratePlan = plan._id;
+        this.nightlyRates = nights.map(night => ({ date: night, ...plan.rateForNight(night) }));
+        // Rent reflects the average nightly rate of the plan-priced stay
+        const planTotal = this.nightlyRates.reduce((sum, night) => sum + night.rate, 0);
+        this.rent = Math.round((planTotal / nights.length) * 100) / 100;
+    } else if (this.rent) {
+        this.ratePlan = null;
+        const source = this.hasRateOverride() ? 'manual' : 'rent';
+        this.nightlyRates = nights.map(night => ({ date: night, rate: this.rent, source }));
+    }
+    return this;
+};
+
+// Price the stay from its dates, pricing mode and rent (minimum units per mode),
+// plus early check-in / late checkout surcharges for nightly stays
+bookingSchema.methods.calculateTotalAmount = function () {
+    const previousExtras = this.extrasAmount || 0;
+    this.extrasAmount = this.activeCharges().reduce((sum, charge) => sum + charge.amount, 0);
+
+    if (this.checkIn && this.checkOut && this.rent) {
+        this.billableUnits = calculateBillableUnits(this.checkIn, this.checkOut, this.pricingMode);
+        this.roomCharge = this.pricingMode === 'nightly' && this.nightlyRates.length > 0
+            ? this.nightlyRates.reduce((sum, night) => sum + night.rate, 0)
+            : this.billableUnits * this.rent;
+        this.surcharges = this.pricingMode === 'nightly'
+            ? calculateStaySurcharges(this.checkIn, this.checkOut, this.rent)
+            : [];
+        this.grossAmount = this.roomCharge + this.surcharges.reduce((sum, line) => sum + line.amount, 0) + this.extrasAmount;
+    } else {
+        // Stay not priced yet: keep the stored stay amount and refresh the extras
+        this.grossAmount = (this.grossAmount ?? this.totalAmount ?? 0) - previousExtras + this.extrasAmount;
+    }
+
+    return this.grossAmount - this.calculateDiscount();
+};
+
+// Work out the discount on the current gross amount; never more than the bill
+bookingSchema.methods.calculateDiscount = function () {
+    const gross = this.grossAmount || 0;
+    let amount = 0;
+
+    if (this.discount && this.discount.kind === 'complimentary') {
+        amount = gross;
+    } else if (this.discount && this.discount.kind === 'percent') {
+        amount = Math.round(gross * this.discount.value) / 100;
+    } else if (this.discount && this.discount.kind === 'flat') {
+        amount = Math.min(this.discount.value, gross);
+    }
+
+    if (this.discount && this.discount.kind) {
+        this.discount.amount = amount;
+    }
+    return amount;
+};
+
+bookingSchema.methods.isComplimentary = function () {
+    return Boolean(this.discount && this.discount.kind === 'complimentary');
+};
+
+// Room rate for one night: the priced night if it is part of the stay, else the rent
+bookingSchema.methods.nightRateFor = function (night) {
+    const key = formatDateKey(night);
+    const priced = (this.nightlyRates || []).find(n => formatDateKey(n.date) === key);
+    return priced ? priced.rate : (this.rent || 0);
+};
+
+// Folio charges that have not been voided
+bookingSchema.methods.activeCharges = function () {
+    return (this.charges || []).filter(charge => !charge.voided);
+};
+
+// Room rent and surcharges before discount, without folio extras
+bookingSchema.methods.stayAmount = function () {
+    return (this.grossAmount ?? this.totalAmount ?? 0) - (this.extrasAmount || 0);
+};
+
+// Amount the guest owes: the cancellation fee for cancelled bookings, nothing for
+// no-shows, the invoice total once invoiced, otherwise the stay total
+bookingSchema.methods.amountDue = function () {
+    if (this.status === 'cancelled') return this.cancellation?.fee || 0;
+    if (this.status === 'no-show') return 0;
+    if (this.invoice && this.invoiceTotal !== null) return this.invoiceTotal;
+    return this.totalAmount || 0;
+};
+
+// Derive balanceDue and paymentStatus from amountPaid
+bookingSchema.methods.updatePaymentStatus = function () {
+    const due = this.amountDue();
+    const paid = this.amountPaid || 0;
+
+    this.balanceDue = Math.round((due - paid) * 100) / 100;
+    if (paid <= 0) {
+        this.paymentStatus = 'pending';
+    } else if (due > 0 && paid >= due) {
+        this.paymentStatus = 'paid';
+    } else {
+        this.paymentStatus = 'partial';
+    }
+    return this;
+};
+
+// amountDue() as an aggregation expression
+const AMOUNT_DUE_EXPR = {
+    $switch: {
+        branches: [
+            { case: { $eq: ['$status', 'cancelled'] }, then: { $ifNull: ['$cancellation.fee', 0] } },
+            { case: { $eq: ['$status', 'no-show'] }, then: 0 },
+            {
+                case: { $and: [{ $ifNull: ['$invoice', false] }, { $ne: [{ $ifNull: ['$invoiceTotal', null] }, null] }] },
+                then: '$invoiceTotal'
+            }
+        ],
+        default: { $ifNull: ['$totalAmount', 0] }
+    }
+};
+
+// updatePaymentStatus() as update pipeline stages, so a single atomic update can change
+// amountPaid or the amount due and derive balanceDue and paymentStatus from the stored values
+const PAYMENT_STATUS_STAGES = [
+    {
+        $set: {
+            balanceDue: { $round: [{ $subtract: [AMOUNT_DUE_EXPR, { $ifNull: ['$amountPaid', 0] }] }, 2] },
+            paymentStatus: {
+                $switch: {
+                    branches: [
+                        { case: { $lte: [{ $ifNull: ['$amountPaid', 0] }, 0] }, then: 'pending' },
+                        { case: { $and: [{ $gt: [AMOUNT_DUE_EXPR, 0] }, { $gte: ['$amountPaid', AMOUNT_DUE_EXPR] }] }, then: 'paid' }
+                    ],
+                    default: 'partial'
+                }
+            },
+            updatedAt: '$$NOW'
+        }
+    }
+];
+bookingSchema.statics.AMOUNT_DUE_EXPR = AMOUNT_DUE_EXPR;
+bookingSchema.statics.PAYMENT_STATUS_STAGES = PAYMENT_STATUS_STAGES;
+
+// Move the departure date, re-price the stay and record the change
+bookingSchema.methods.changeCheckOut = async function (type, newCheckOut, { changedBy = null, reason } = {}) {
+    const previousCheckOut = this.checkOut;
+    const previousTotalAmount = this.totalAmount;
+
+    this.checkOut = newCheckOut;
+    await this.buildNightlyRates();
+    this.totalAmount = this.calculateTotalAmount();
+
+    this.stayChanges.push({
+        type,
+        previousCheckOut,
+        newCheckOut,
+        previousTotalAmount,
+        newTotalAmount: this.totalAmount,
+        reason,
+        changedBy
+    });
+    return this;
+};
+
+// Check whether the booking may move from its current status to the given one
+bookingSchema.methods.canTransitionTo = function (status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move the booking to a new status and record who did it and why
+bookingSchema.methods.transitionTo = function (status, { changedBy = null, reason } = {}) {
+    if (!this.canTransitionTo(status)) {
+        const error = new Error(`Cannot change booking status from ${this.status} to ${status}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    // Checking out without a departure time means the guest is leaving now
+    if (status === 'checked-out' && !this.checkOut) {
+        this.checkOut = new Date();
+    }
+
+    this.statusHistory.push({ from: this.status, to: status, changedBy, reason });
+    this.status = status;
+    return this;
+};
+
+// Cancel the booking, recording the reason and the fee from the cancellation policy
+bookingSchema.methods.cancel = function ({ changedBy = null, reason, fee = 0, policy } = {}) {
+    this.transitionTo('cancelled', { changedBy, reason });
+    this.cancellation = {
+        reason,
+        cancelledAt: new Date(),
+        cancelledBy: changedBy,
+        fee,
+        policy
+    };
+    return this;
+};
+
 // Create indexes for better query performance with large datasets
 bookingSchema.index({ customer: 1 });
 bookingSchema.index({ checkIn: 1 });
@@ -178,6 +764,13 @@ bookingSchema.index({ status: 1, checkIn: -1 }); // Status with check-in date
 bookingSchema.index({ customerMobile: 1, status: 1 }); // Customer search with status
 bookingSchema.index({ checkIn: 1, checkOut: 1 }); // Date range queries
 bookingSchema.index({ rent: -1, checkIn: -1 }); // Sort by rent with date
+bookingSchema.index({ pricingMode: 1, createdAt: -1 }); // Length-of-stay metrics per mode
+bookingSchema.index({ room: 1, status: 1, checkIn: 1 }); // Room overlap checks
+bookingSchema.index({ status: 1, 'cancellation.cancelledAt': -1 }); // Cancellation fee reporting
+bookingSchema.index({ paymentStatus: 1, checkOut: -1 }); // Outstanding balances
+bookingSchema.index({ 'discount.kind': 1, createdAt: -1 }); // Discount and complimentary reporting
+bookingSchema.index({ 'roomPostings.date': 1 }); // Night audit revenue
+bookingSchema.index({ 'additionalGuests.guest': 1 }); // Guest history as an additional guest
 
 // Text index for full-text search across multiple fields including additional guests
 bookingSchema.index({
@@ -201,6 +794,9 @@ bookingSchema.index({
 
 // Sparse index for optional fields
 bookingSchema.index({ room: 1 }, { sparse: true });
-bookingSchema.index({ customerAadhaar: 1 }, { sparse: true });
+
+// Exact Aadhaar lookups go through the keyed hashes
+bookingSchema.index({ customerAadhaarHash: 1 });
+bookingSchema.index({ 'additionalGuests.aadhaarHash': 1 });
 
 module.exports = mongoose.model('Booking', bookingSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Coupon code is required'],
+        unique: true,
+        uppercase: true,
+        trim: true,
+        maxlength: [30, 'Coupon code cannot exceed 30 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    discountType: {
+        type: String,
+        enum: ['percent', 'flat'],
+        required: [true, 'Discount type is required']
+    },
+    value: {
+        type: Number,
+        required: [true, 'Discount value is required'],
+        min: [0, 'Discount value cannot be negative']
+    },
+    validFrom: {
+        type: Date,
+        required: [true, 'Valid from date is required']
+    },
+    validTo: {
+        type: Date,
+        required: [true, 'Valid to date is required']
+    },
+    // null means unlimited
+    usageLimit: {
+        type: Number,
+        default: null,
+        min: [1, 'Usage limit must be at least 1']
+    },
+    usedCount: {
+        type: Number,
+        default: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Percentage coupons cannot exceed 100%
+couponSchema.pre('validate', function (next) {
+    if (this.discountType === 'percent' && this.value > 100) {
+        this.invalidate('value', 'Percentage discount cannot exceed 100');
+    }
+    if (this.validFrom && this.validTo && this.validTo < this.validFrom) {
+        this.invalidate('validTo', 'Valid to date cannot be before valid from date');
+    }
+    next();
+});
+
+// Update updatedAt before saving
+couponSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Atomically take one use of a coupon that is active, in its validity window and under its limit
+couponSchema.statics.redeem = function (code, at = new Date()) {
+    return this.findOneAndUpdate(
+        {
+            code: String(code).trim().toUpperCase(),
+            isActive: true,
+            validFrom: { $lte: at },
+            validTo: { $gte: at },
+            $or: [
+                { usageLimit: null },
+                { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+            ]
+        },
+        { $inc: { usedCount: 1 } },
+        { new: true }
+    );
+};
+
+// Give back a use, e.g. when a coupon discount is removed from a booking
+couponSchema.statics.release = function (couponId) {
+    return this.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+// Create indexes
+couponSchema.index({ isActive: 1, validTo: -1 });
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -1,7 +1,9 @@
 const mongoose = require('mongoose');
+const { aadhaarPath, hashAadhaar, maskAadhaarFields } = require('../utils/aadhaar');
 
 // This model stores aggregate data for customers whose detailed records have been archived
 const customerSummarySchema = new mongoose.Schema({
+    // Guest profile the summary belongs to
     customerId: {
         type: mongoose.Schema.Types.ObjectId,
         required: true,
@@ -11,13 +13,14 @@ const customerSummarySchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // A guest profile has a mobile, an Aadhaar or both
     mobile: {
-        type: String,
-        required: true
+        type: String
     },
-    aadhaar: {
-        type: String,
-        required: true
+    // Stored encrypted, like the guest profile's
+    aadhaar: aadhaarPath(),
+    aadhaarHash: {
+        type: String
     },
     totalHistoricVisits: {
         type: Number,
@@ -43,8 +46,17 @@ const customerSummarySchema = new mongoose.Schema({
     }
 });
 
+// Keep the Aadhaar lookup hash in step with the encrypted number
+customerSummarySchema.pre('validate', function (next) {
+    this.aadhaarHash = hashAadhaar(this.aadhaar);
+    next();
+});
+
+// Responses only ever carry masked Aadhaar numbers
+customerSummarySchema.set('toJSON', { transform: (doc, ret) => maskAadhaarFields(ret) });
+
 // Create indexes
 customerSummarySchema.index({ mobile: 1 });
-customerSummarySchema.index({ aadhaar: 1 });
+customerSummarySchema.index({ aadhaarHash: 1 });
 
 module.exports = mongoose.model('CustomerSummary', customerSummarySchema);
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// Summary of a closed business day, written once by the night audit
+const dayCloseSchema = new mongoose.Schema({
+    // Local midnight of the business date
+    businessDate: {
+        type: Date,
+        required: [true, 'Business date is required'],
+        unique: true
+    },
+    roomsAvailable: {
+        type: Number,
+        default: 0
+    },
+    roomsOccupied: {
+        type: Number,
+        default: 0
+    },
+    occupancyPercent: {
+        type: Number,
+        default: 0
+    },
+    inHouse: {
+        type: Number,
+        default: 0
+    },
+    complimentaryStays: {
+        type: Number,
+        default: 0
+    },
+    arrivals: {
+        type: Number,
+        default: 0
+    },
+    // Billed total (after discounts) of the stays that arrived on the day
+    arrivalRevenue: {
+        type: Number,
+        default: 0
+    },
+    arrivalDiscounts: {
+        type: Number,
+        default: 0
+    },
+    complimentaryArrivals: {
+        type: Number,
+        default: 0
+    },
+    departures: {
+        type: Number,
+        default: 0
+    },
+    noShowsMarked: {
+        type: Number,
+        default: 0
+    },
+    // Room charges posted for the night, after discounts
+    roomRevenue: {
+        type: Number,
+        default: 0
+    },
+    roomPostings: {
+        type: Number,
+        default: 0
+    },
+    // Fees kept on bookings cancelled during the day
+    cancellationFees: {
+        type: Number,
+        default: 0
+    },
+    collections: {
+        byMode: [{
+            _id: false,
+            mode: String,
+            amount: Number,
+            count: Number
+        }],
+        collected: {
+            type: Number,
+            default: 0
+        },
+        refunds: {
+            type: Number,
+            default: 0
+        },
+        net: {
+            type: Number,
+            default: 0
+        }
+    },
+    // Balance still owed across stays at the time of the close
+    outstanding: {
+        type: Number,
+        default: 0
+    },
+    overstays: [{
+        _id: false,
+        booking: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Booking'
+        },
+        entryNo: String,
+        room: String,
+        customerName: String,
+        checkOut: Date
+    }],
+    notes: {
+        type: String,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    closedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Latest closed business date, or null when no day has been closed
+dayCloseSchema.statics.lastClosedDate = async function () {
+    const last = await this.findOne().sort({ businessDate: -1 }).select('businessDate');
+    return last ? last.businessDate : null;
+};
+
+module.exports = mongoose.model('DayClose', dayCloseSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// An order created at the online payment gateway for (part of) a booking's balance
+const gatewayOrderSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: [true, 'Booking is required']
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    // Order id issued by the gateway
+    orderId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Order amount must be greater than 0']
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    status: {
+        type: String,
+        enum: ['created', 'paid', 'failed'],
+        default: 'created'
+    },
+    // Filled in from the gateway's webhook
+    gatewayPaymentId: {
+        type: String
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    failureReason: {
+        type: String
+    },
+    paidAt: {
+        type: Date
+    },
+    // Staff member who sent the payment request; recorded as receiving the payment
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+gatewayOrderSchema.index({ booking: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GatewayOrder', gatewayOrderSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { aadhaarPath, hashAadhaar, maskAadhaarFields } = require('../utils/aadhaar');
+
+// A guest profile shared by every booking the person stayed on, either as the
+// primary customer or as an additional guest. Guests are identified by Aadhaar,
+// or by mobile number when no Aadhaar was given.
+const guestSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Guest name is required'],
+        trim: true,
+        maxlength: [100, 'Guest name cannot exceed 100 characters']
+    },
+    mobile: {
+        type: String,
+        default: null
+    },
+    // Stored encrypted; aadhaarHash identifies the guest
+    aadhaar: aadhaarPath({
+        default: null
+    }),
+    aadhaarHash: {
+        type: String,
+        default: null
+    },
+    // Loyalty points balance; every change is recorded as a LoyaltyTransaction
+    loyaltyPoints: {
+        type: Number,
+        default: 0,
+        min: [0, 'Loyalty points cannot be negative']
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Keep the Aadhaar lookup hash in step with the encrypted number
+guestSchema.pre('validate', function (next) {
+    this.aadhaarHash = hashAadhaar(this.aadhaar);
+    next();
+});
+
+// Update updatedAt before saving
+guestSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Create indexes
+guestSchema.index({ aadhaarHash: 1 }, { unique: true, partialFilterExpression: { aadhaarHash: { $type: 'string' } } });
+guestSchema.index({ mobile: 1 });
+guestSchema.index({ name: 'text' });
+
+// Responses only ever carry masked Aadhaar numbers
+guestSchema.set('toJSON', { transform: (doc, ret) => maskAadhaarFields(ret) });
+
+module.exports = mongoose.model('Guest', guestSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const { aadhaarPath, hashAadhaar, maskAadhaarFields } = require('../utils/aadhaar');
+
+const FLAG_CATEGORIES = ['unpaid-dues', 'damage', 'police', 'misconduct', 'other'];
+const FLAG_SEVERITIES = ['low', 'medium', 'high'];
+
+// A watchlist entry. Flags match bookings by mobile or Aadhaar so they catch a
+// guest even before they have a profile; a high-severity flag blocks the booking.
+const guestFlagSchema = new mongoose.Schema({
+    guest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Guest',
+        default: null
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    mobile: {
+        type: String,
+        default: null
+    },
+    // Stored encrypted; flags are matched on aadhaarHash
+    aadhaar: aadhaarPath({
+        default: null
+    }),
+    aadhaarHash: {
+        type: String,
+        default: null
+    },
+    category: {
+        type: String,
+        enum: FLAG_CATEGORIES,
+        required: [true, 'Flag category is required']
+    },
+    severity: {
+        type: String,
+        enum: FLAG_SEVERITIES,
+        required: [true, 'Flag severity is required']
+    },
+    reason: {
+        type: String,
+        required: [true, 'Flag reason is required'],
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    clearedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    clearedAt: Date,
+    clearReason: {
+        type: String,
+        maxlength: [500, 'Clear reason cannot exceed 500 characters']
+    }
+});
+
+// A flag must identify someone
+guestFlagSchema.pre('validate', function (next) {
+    if (!this.mobile && !this.aadhaar) {
+        this.invalidate('mobile', 'A mobile number or Aadhaar number is required');
+    }
+    this.aadhaarHash = hashAadhaar(this.aadhaar);
+    next();
+});
+
+// Create indexes
+guestFlagSchema.index({ mobile: 1, isActive: 1 });
+guestFlagSchema.index({ aadhaarHash: 1, isActive: 1 });
+guestFlagSchema.index({ guest: 1 });
+guestFlagSchema.index({ isActive: 1, createdAt: -1 });
+
+// Responses only ever carry masked Aadhaar numbers
+guestFlagSchema.set('toJSON', { transform: (doc, ret) => maskAadhaarFields(ret) });
+
+guestFlagSchema.statics.CATEGORIES = FLAG_CATEGORIES;
+guestFlagSchema.statics.SEVERITIES = FLAG_SEVERITIES;
+
+module.exports = mongoose.model('GuestFlag', guestFlagSchema);
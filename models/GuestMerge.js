@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { maskAadhaarFields } = require('../utils/aadhaar');
+
+// Record of one guest profile merged into another, with everything needed to undo it
+const guestMergeSchema = new mongoose.Schema({
+    survivor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Guest',
+        required: true
+    },
+    // The merged profile as it was before it was removed
+    merged: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // Survivor's name, mobile and Aadhaar before it took over missing details
+    survivorBefore: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // Bookings re-pointed from the merged profile to the survivor
+    customerBookings: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    }],
+    additionalGuestEntries: [{
+        _id: false,
+        booking: mongoose.Schema.Types.ObjectId,
+        entry: mongoose.Schema.Types.ObjectId
+    }],
+    // Watchlist flags re-pointed from the merged profile to the survivor
+    flags: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GuestFlag'
+    }],
+    // Loyalty points history moved from the merged profile to the survivor
+    loyaltyTransactions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LoyaltyTransaction'
+    }],
+    // CustomerSummary archive rows as they were before being folded together
+    summariesBefore: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    reason: {
+        type: String,
+        maxlength: [200, 'Reason cannot exceed 200 characters']
+    },
+    mergedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    mergedAt: {
+        type: Date,
+        default: Date.now
+    },
+    undoneBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    undoneAt: {
+        type: Date,
+        default: null
+    }
+});
+
+guestMergeSchema.index({ survivor: 1, mergedAt: -1 });
+guestMergeSchema.index({ 'merged._id': 1 });
+
+// Snapshots hold encrypted Aadhaar numbers; responses only ever carry masked ones
+guestMergeSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        maskAadhaarFields(ret.merged);
+        maskAadhaarFields(ret.survivorBefore);
+        (ret.summariesBefore || []).forEach(maskAadhaarFields);
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('GuestMerge', guestMergeSchema);
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+
+const DOCUMENT_TYPES = ['invoice', 'credit-note'];
+
+const amountLineSchema = new mongoose.Schema({
+    description: {
+        type: String,
+        required: true
+    },
+    sacCode: String,
+    quantity: Number,
+    unit: String,
+    rate: Number,
+    gstRate: Number,
+    discount: {
+        type: Number,
+        default: 0
+    },
+    // After discount
+    taxableValue: {
+        type: Number,
+        required: true
+    },
+    taxAmount: Number
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+    documentType: {
+        type: String,
+        enum: DOCUMENT_TYPES,
+        default: 'invoice'
+    },
+    // e.g. INV/26-27/00042; gapless within a document type and financial year
+    number: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    financialYear: {
+        type: String, // e.g. 2026-27
+        required: true
+    },
+    sequence: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: [true, 'Booking is required']
+    },
+    // Credit notes point at the invoice they correct
+    against: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice'
+    },
+    reason: {
+        type: String,
+        maxlength: [200, 'Reason cannot exceed 200 characters']
+    },
+    // Snapshots taken at issue time so later edits elsewhere never change the document
+    supplier: {
+        legalName: String,
+        address: String,
+        gstin: String,
+        stateCode: String
+    },
+    recipient: {
+        name: String,
+        mobile: String,
+        gstin: String
+    },
+    stay: {
+        entryNo: String,
+        room: String,
+        checkIn: Date,
+        checkOut: Date,
+        pricingMode: String,
+        nights: Number
+    },
+    placeOfSupply: {
+        type: String, // State code
+        required: true
+    },
+    isInterState: {
+        type: Boolean,
+        default: false
+    },
+    lines: [amountLineSchema],
+    discountAmount: {
+        type: Number,
+        default: 0
+    },
+    discountReason: String,
+    tariffPerNight: Number,
+    // Accommodation slab; extras lines carry their own rate
+    gstRate: {
+        type: Number,
+        required: true
+    },
+    taxableValue: {
+        type: Number,
+        required: true
+    },
+    cgst: {
+        type: Number,
+        default: 0
+    },
+    sgst: {
+        type: Number,
+        default: 0
+    },
+    igst: {
+        type: Number,
+        default: 0
+    },
+    totalTax: {
+        type: Number,
+        default: 0
+    },
+    roundOff: {
+        type: Number,
+        default: 0
+    },
+    grandTotal: {
+        type: Number,
+        required: true
+    },
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+invoiceSchema.statics.DOCUMENT_TYPES = DOCUMENT_TYPES;
+
+// Issued documents are immutable; corrections are made with credit notes
+const rejectChange = function (next) {
+    const error = new Error('Issued invoices and credit notes cannot be changed or deleted');
+    error.statusCode = 400;
+    next(error);
+};
+
+invoiceSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return rejectChange(next);
+    }
+    next();
+});
+
+invoiceSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+        'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    rejectChange
+);
+
+// Create indexes
+invoiceSchema.index({ documentType: 1, financialYear: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ booking: 1, issuedAt: -1 });
+invoiceSchema.index({ against: 1 });
+invoiceSchema.index({ issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const LOYALTY_TRANSACTION_TYPES = ['earn', 'redeem', 'reinstate'];
+
+// One change to a guest's loyalty points balance. Points are signed: earned and
+// reinstated points are positive, redeemed points negative.
+const loyaltyTransactionSchema = new mongoose.Schema({
+    guest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Guest',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: LOYALTY_TRANSACTION_TYPES,
+        required: true
+    },
+    points: {
+        type: Number,
+        required: true
+    },
+    // Rupee value of redeemed points
+    value: {
+        type: Number,
+        default: 0
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        default: null
+    },
+    // How redeemed points were used on the booking
+    redeemedAs: {
+        type: String,
+        enum: ['payment', 'discount']
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    // Tier the guest was in when the points were earned
+    tier: {
+        type: String,
+        default: null
+    },
+    // Set on a redemption once its points have been given back
+    reinstatedAt: {
+        type: Date,
+        default: null
+    },
+    reason: {
+        type: String,
+        maxlength: [200, 'Reason cannot exceed 200 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Create indexes
+loyaltyTransactionSchema.index({ guest: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ payment: 1 }, { sparse: true });
+// A stay earns points once
+loyaltyTransactionSchema.index({ booking: 1 }, { unique: true, partialFilterExpression: { type: 'earn' } });
+
+loyaltyTransactionSchema.statics.TYPES = LOYALTY_TRANSACTION_TYPES;
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
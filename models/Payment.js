@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+// Ledger entry types; refunds are money paid back out to the guest
+const PAYMENT_TYPES = ['payment', 'deposit', 'refund'];
+// 'online' covers gateway payments made by other methods (wallets, pay later);
+// 'loyalty' is paid with redeemed loyalty points and is only recorded by a redemption
+const PAYMENT_MODES = ['cash', 'upi', 'card', 'bank', 'online', 'loyalty'];
+// Modes staff can record by hand at the desk
+const MANUAL_PAYMENT_MODES = PAYMENT_MODES.filter(mode => mode !== 'loyalty');
+
+const paymentSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: [true, 'Booking is required']
+    },
+    type: {
+        type: String,
+        enum: PAYMENT_TYPES,
+        default: 'payment'
+    },
+    // Always positive; the type decides whether it adds to or takes from amountPaid
+    amount: {
+        type: Number,
+        required: [true, 'Payment amount is required'],
+        min: [0.01, 'Payment amount must be greater than 0']
+    },
+    mode: {
+        type: String,
+        enum: PAYMENT_MODES,
+        required: [true, 'Payment mode is required']
+    },
+    reference: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Reference cannot exceed 100 characters']
+    },
+    notes: {
+        type: String,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    // Why a deposit was taken or a refund given
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Reason cannot exceed 200 characters']
+    },
+    approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Refund that took the booking's refunds past the approval threshold, so approvedBy is a manager or admin
+    approvalRequired: {
+        type: Boolean,
+        default: false
+    },
+    receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Receiving user is required']
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Payment id at the online payment gateway; a gateway payment is recorded only once
+    gatewayPaymentId: {
+        type: String,
+        default: undefined
+    },
+    // Cashier shift the money went through; set when the receiver had a shift open
+    shift: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shift',
+        default: null
+    },
+    // Payments are never edited or deleted; mistakes are voided with a reason
+    voided: {
+        type: Boolean,
+        default: false
+    },
+    voidReason: {
+        type: String,
+        maxlength: [200, 'Void reason cannot exceed 200 characters']
+    },
+    voidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    voidedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+paymentSchema.statics.PAYMENT_TYPES = PAYMENT_TYPES;
+paymentSchema.statics.PAYMENT_MODES = PAYMENT_MODES;
+paymentSchema.statics.MANUAL_PAYMENT_MODES = MANUAL_PAYMENT_MODES;
+
+// Aggregation expression for an entry's effect on the amount collected
+paymentSchema.statics.SIGNED_AMOUNT_EXPR = {
+    $cond: [{ $eq: ['$type', 'refund'] }, { $multiply: ['$amount', -1] }, '$amount']
+};
+
+// Deposits and refunds must say why they were taken or given
+paymentSchema.pre('validate', function (next) {
+    if (this.type !== 'payment' && !this.reason) {
+        this.invalidate('reason', `A reason is required for a ${this.type}`);
+    }
+    next();
+});
+
+// Effect of this entry on the booking's amountPaid
+paymentSchema.methods.signedAmount = function () {
+    return this.type === 'refund' ? -this.amount : this.amount;
+};
+
+// Create indexes
+paymentSchema.index({ booking: 1, receivedAt: -1 });
+paymentSchema.index({ receivedAt: -1, mode: 1 });
+paymentSchema.index({ type: 1, receivedAt: -1 });
+paymentSchema.index({ receivedBy: 1, receivedAt: -1 });
+paymentSchema.index({ shift: 1, mode: 1 });
+paymentSchema.index({ gatewayPaymentId: 1 }, { unique: true, partialFilterExpression: { gatewayPaymentId: { $type: 'string' } } });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Room = require('./Room');
+const { formatDateKey } = require('../utils/helpers');
+
+const ratePlanSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Rate plan name is required'],
+        trim: true,
+        maxlength: [100, 'Rate plan name cannot exceed 100 characters']
+    },
+    roomType: {
+        type: String,
+        required: [true, 'Room type is required'],
+        enum: Room.ROOM_TYPES
+    },
+    // Nightly rate outside any season
+    baseRate: {
+        type: Number,
+        required: [true, 'Base rate is required'],
+        min: [0, 'Base rate cannot be negative']
+    },
+    // Nights that count as weekend (0 = Sunday ... 6 = Saturday); Friday and Saturday by default
+    weekendDays: {
+        type: [Number],
+        default: [5, 6]
+    },
+    weekendUpliftPercent: {
+        type: Number,
+        default: 0,
+        min: [0, 'Weekend uplift cannot be negative']
+    },
+    // Seasonal nightly rates; a season covers the nights from `from` to `to` inclusive
+    seasons: [{
+        name: {
+            type: String,
+            required: [true, 'Season name is required'],
+            maxlength: [100, 'Season name cannot exceed 100 characters']
+        },
+        from: {
+            type: Date,
+            required: [true, 'Season start date is required']
+        },
+        to: {
+            type: Date,
+            required: [true, 'Season end date is required']
+        },
+        rate: {
+            type: Number,
+            required: [true, 'Season rate is required'],
+            min: [0, 'Season rate cannot be negative']
+        }
+    }],
+    // Fixed rates for single festival nights; these replace season and weekend pricing
+    festivals: [{
+        name: {
+            type: String,
+            required: [true, 'Festival name is required'],
+            maxlength: [100, 'Festival name cannot exceed 100 characters']
+        },
+        date: {
+            type: Date,
+            required: [true, 'Festival date is required']
+        },
+        rate: {
+            type: Number,
+            required: [true, 'Festival rate is required'],
+            min: [0, 'Festival rate cannot be negative']
+        }
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update updatedAt before saving
+ratePlanSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Active rate plan for a room type (most recently updated wins)
+ratePlanSchema.statics.findActiveForType = function (roomType) {
+    return this.findOne({ roomType, isActive: true }).sort({ updatedAt: -1 });
+};
+
+// Price a single night: festival override, else season or base rate with weekend uplift
+ratePlanSchema.methods.rateForNight = function (night) {
+    const nightKey = formatDateKey(night);
+
+    const festival = this.festivals.find(f => formatDateKey(f.date) === nightKey);
+    if (festival) {
+        return { rate: festival.rate, source: 'festival', label: festival.name };
+    }
+
+    const season = this.seasons.find(s => formatDateKey(s.from) <= nightKey && nightKey <= formatDateKey(s.to));
+    let rate = season ? season.rate : this.baseRate;
+    let source = season ? 'season' : 'base';
+    let label = season ? season.name : this.name;
+
+    if (this.weekendUpliftPercent > 0 && this.weekendDays.includes(new Date(night).getDay())) {
+        rate = Math.round(rate * (100 + this.weekendUpliftPercent)) / 100;
+        source = 'weekend';
+        label = `${label} (weekend +${this.weekendUpliftPercent}%)`;
+    }
+
+    return { rate, source, label };
+};
+
+// Create indexes
+ratePlanSchema.index({ roomType: 1, isActive: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('RatePlan', ratePlanSchema);
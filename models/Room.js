@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const ROOM_TYPES = ['standard', 'deluxe', 'suite', 'family', 'dormitory'];
+
+const roomSchema = new mongoose.Schema({
+    roomNumber: {
+        type: String,
+        required: [true, 'Room number is required'],
+        unique: true,
+        trim: true,
+        maxlength: [10, 'Room number cannot exceed 10 characters']
+    },
+    type: {
+        type: String,
+        enum: ROOM_TYPES,
+        default: 'standard'
+    },
+    floor: {
+        type: Number,
+        required: [true, 'Floor is required'],
+        min: [0, 'Floor cannot be negative']
+    },
+    capacity: {
+        type: Number,
+        default: 2,
+        min: [1, 'Capacity must be at least 1'],
+        max: [20, 'Capacity cannot exceed 20 people']
+    },
+    baseTariff: {
+        type: Number,
+        required: [true, 'Base tariff is required'],
+        min: [0, 'Base tariff cannot be negative']
+    },
+    // Short-stay rates; null when the room is not sold by the hour or for day use
+    hourlyRate: {
+        type: Number,
+        default: null,
+        min: [0, 'Hourly rate cannot be negative']
+    },
+    dayUseRate: {
+        type: Number,
+        default: null,
+        min: [0, 'Day-use rate cannot be negative']
+    },
+    amenities: [{
+        type: String,
+        trim: true
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    // Date ranges where the room cannot be sold (maintenance, renovation, etc.)
+    blocks: [{
+        from: {
+            type: Date,
+            required: [true, 'Block start date is required']
+        },
+        to: {
+            type: Date,
+            required: [true, 'Block end date is required']
+        },
+        reason: {
+            type: String,
+            required: [true, 'Block reason is required'],
+            maxlength: [200, 'Block reason cannot exceed 200 characters']
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    notes: {
+        type: String,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update updatedAt before saving
+roomSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+roomSchema.statics.ROOM_TYPES = ROOM_TYPES;
+
+// Rate for one billable unit of the given pricing mode
+roomSchema.methods.rateFor = function (pricingMode = 'nightly') {
+    if (pricingMode === 'hourly') return this.hourlyRate;
+    if (pricingMode === 'day-use') return this.dayUseRate;
+    return this.baseTariff;
+};
+
+// Create indexes
+roomSchema.index({ isActive: 1, roomNumber: 1 });
+roomSchema.index({ type: 1, isActive: 1 });
+
+module.exports = mongoose.model('Room', roomSchema);
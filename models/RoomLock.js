@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Short-lived lock taken on a room number while a booking for it is being saved.
+// Keyed by the room number itself, so rooms missing from the inventory are locked too.
+const roomLockSchema = new mongoose.Schema({
+    roomNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    lockToken: {
+        type: String,
+        required: true
+    },
+    lockedUntil: {
+        type: Date,
+        required: true
+    }
+});
+
+module.exports = mongoose.model('RoomLock', roomLockSchema);
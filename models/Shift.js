@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// A front-desk cashier shift: opened with a cash float, closed with a counted amount
+const shiftSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Shift user is required']
+    },
+    status: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open'
+    },
+    openingFloat: {
+        type: Number,
+        required: [true, 'Opening float is required'],
+        min: [0, 'Opening float cannot be negative']
+    },
+    openedAt: {
+        type: Date,
+        default: Date.now
+    },
+    openingNotes: {
+        type: String,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    // Filled in when the shift is closed
+    collections: {
+        byMode: [{
+            _id: false,
+            mode: String,
+            amount: Number,
+            count: Number
+        }],
+        collected: Number,
+        refunds: Number,
+        net: Number
+    },
+    // Opening float plus net cash taken during the shift
+    expectedCash: Number,
+    countedCash: {
+        type: Number,
+        min: [0, 'Counted cash cannot be negative']
+    },
+    // Counted minus expected: negative is a shortage, positive an overage
+    variance: Number,
+    closingNotes: {
+        type: String,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    closedAt: {
+        type: Date
+    }
+});
+
+// A user can only have one shift open at a time
+shiftSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+shiftSchema.index({ user: 1, openedAt: -1 });
+shiftSchema.index({ status: 1, closedAt: -1 });
+
+module.exports = mongoose.model('Shift', shiftSchema);
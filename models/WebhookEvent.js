@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Webhook deliveries already handled, so a repeated delivery is not processed twice
+const webhookEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true
+    },
+    eventId: {
+        type: String,
+        required: true
+    },
+    event: {
+        type: String
+    },
+    // What the delivery led to: processed, duplicate payment or ignored
+    outcome: {
+        type: String
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
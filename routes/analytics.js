@@ -4,6 +4,7 @@ const {
     getRevenueAnalytics,
     getCustomerAnalytics,
     getOccupancyAnalytics,
+    getReceivables,
     exportData
 } = require('../controllers/analytics');
 const { protect, authorize } = require('../middleware/auth');
@@ -18,6 +19,7 @@ router.get('/dashboard', getDashboardStats);
 router.get('/revenue', getRevenueAnalytics);
 router.get('/customers', getCustomerAnalytics);
 router.get('/occupancy', getOccupancyAnalytics);
+router.get('/receivables', getReceivables);
 router.get('/export', authorize('admin', 'manager'), exportData);
 
 module.exports = router;
@@ -9,11 +9,34 @@ const {
     searchBookings,
     getBookingsByDateRange,
     updateBookingStatus,
+    checkInBooking,
+    cancelBooking,
+    extendStay,
+    earlyCheckout,
     advancedSearch,
     getBookingStats,
     searchCustomer
 } = require('../controllers/bookings');
-const { protect } = require('../middleware/auth');
+const {
+    getBookingPayments,
+    recordPayment,
+    recordDeposit,
+    recordRefund,
+    getPaymentOrders,
+    createPaymentOrder
+} = require('../controllers/payments');
+const { generateInvoice } = require('../controllers/invoices');
+const { getInvoicePdf, getRegistrationCardPdf } = require('../controllers/documents');
+const { getCharges, postCharge, voidCharge } = require('../controllers/charges');
+const { applyDiscount, makeComplimentary, removeDiscount } = require('../controllers/discounts');
+const { redeemPoints } = require('../controllers/loyalty');
+const { revealBookingAadhaar } = require('../controllers/aadhaar');
+const { protect, authorize } = require('../middleware/auth');
+const paymentService = require('../services/payments');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const { refundApprovalThreshold, aadhaar: aadhaarConfig } = require('../config/hotel');
+const { isValidGstin } = require('../utils/helpers');
 
 const router = express.Router();
 
@@ -42,11 +65,21 @@ const bookingValidation = [
         .optional()
         .isLength({ min: 1, max: 10 })
         .withMessage('Room number cannot exceed 10 characters'),
+    body('pricingMode')
+        .optional()
+        .isIn(['nightly', 'hourly', 'day-use'])
+        .withMessage('Pricing mode must be one of: nightly, hourly, day-use'),
+    // Rent may be omitted when the room has a rate for the pricing mode
     body('rent')
+        .optional()
         .isNumeric()
         .withMessage('Rent must be a number')
         .isFloat({ min: 1 })
         .withMessage('Rent must be greater than 0'),
+    body('rentOverrideReason')
+        .optional()
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Rent override reason must be between 2 and 200 characters'),
     body('checkIn')
         .isISO8601()
         .withMessage('Check-in date must be a valid date'),
@@ -62,8 +95,8 @@ const bookingValidation = [
         }),
     body('status')
         .optional()
-        .isIn(['checked-in', 'checked-out'])
-        .withMessage('Status must be either checked-in or checked-out'),
+        .isIn(['reserved', 'confirmed', 'checked-in', 'checked-out'])
+        .withMessage('Status must be one of: reserved, confirmed, checked-in, checked-out'),
     // Validation for additional guests (group booking)
     body('additionalGuests')
         .optional()
@@ -92,10 +125,190 @@ const bookingValidation = [
 // Validation for status update
 const statusValidation = [
     body('status')
-        .isIn(['checked-in', 'checked-out'])
-        .withMessage('Status must be either checked-in or checked-out')
+        .isIn(['reserved', 'confirmed', 'checked-in', 'checked-out', 'cancelled', 'no-show'])
+        .withMessage('Status must be one of: reserved, confirmed, checked-in, checked-out, cancelled, no-show'),
+    body('reason')
+        .optional()
+        .isLength({ max: 200 })
+        .withMessage('Reason cannot exceed 200 characters')
+];
+
+// Validation for cancellation
+const cancelValidation = [
+    body('reason')
+        .trim()
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Cancellation reason must be between 2 and 200 characters')
+];
+
+// Validation for stay extension and early checkout
+const extendValidation = [
+    body('checkOut')
+        .isISO8601()
+        .withMessage('New check-out date must be a valid date'),
+    body('reason')
+        .optional()
+        .isLength({ max: 200 })
+        .withMessage('Reason cannot exceed 200 characters')
+];
+
+const earlyCheckoutValidation = [
+    body('checkOut')
+        .optional()
+        .isISO8601()
+        .withMessage('Check-out date must be a valid date'),
+    body('reason')
+        .optional()
+        .isLength({ max: 200 })
+        .withMessage('Reason cannot exceed 200 characters')
+];
+
+// Validation for recording a payment
+const paymentValidation = [
+    body('amount')
+        .isFloat({ gt: 0 })
+        .withMessage('Payment amount must be greater than 0'),
+    body('mode')
+        .isIn(Payment.MANUAL_PAYMENT_MODES)
+        .withMessage(`Payment mode must be one of: ${Payment.MANUAL_PAYMENT_MODES.join(', ')}`),
+    body('reference')
+        .optional()
+        .isLength({ max: 100 })
+        .withMessage('Reference cannot exceed 100 characters'),
+    body('notes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters'),
+    body('receivedAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Received date must be a valid date')
+];
+
+// Deposits and refunds also need a reason
+const depositValidation = [
+    ...paymentValidation,
+    body('reason')
+        .trim()
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Reason must be between 2 and 200 characters')
+];
+
+// Validation for redeeming loyalty points
+const loyaltyRedemptionValidation = [
+    body('points')
+        .isInt({ gt: 0 })
+        .withMessage('Points must be a whole number greater than 0'),
+    body('redeemAs')
+        .isIn(['payment', 'discount'])
+        .withMessage('Points can be redeemed as payment or discount')
+];
+
+// Revealing a full Aadhaar number needs a reason for the audit log
+const aadhaarRevealValidation = [
+    body('reason')
+        .trim()
+        .isLength({ min: 3, max: 200 })
+        .withMessage('A reason between 3 and 200 characters is required')
+];
+
+// Validation for online payment orders; the amount defaults to the balance due
+const paymentOrderValidation = [
+    body('amount')
+        .optional()
+        .isFloat({ gt: 0 })
+        .withMessage('Amount must be greater than 0')
+];
+
+// Validation for issuing an invoice; a business guest may give their GSTIN
+const invoiceValidation = [
+    body('recipientName')
+        .optional()
+        .isLength({ max: 200 })
+        .withMessage('Recipient name cannot exceed 200 characters'),
+    body('recipientGstin')
+        .optional({ checkFalsy: true })
+        .custom(gstin => {
+            if (!isValidGstin(String(gstin).toUpperCase())) {
+                throw new Error('Recipient GSTIN is not valid');
+            }
+            return true;
+        })
+];
+
+// Validation for folio charges; taxRate defaults to the category's GST rate
+const chargeValidation = [
+    body('category')
+        .isIn(Booking.CHARGE_CATEGORIES)
+        .withMessage(`Category must be one of: ${Booking.CHARGE_CATEGORIES.join(', ')}`),
+    body('description')
+        .optional()
+        .isLength({ max: 200 })
+        .withMessage('Description cannot exceed 200 characters'),
+    body('quantity')
+        .optional()
+        .isFloat({ gt: 0 })
+        .withMessage('Quantity must be greater than 0'),
+    body('unitPrice')
+        .isFloat({ min: 0 })
+        .withMessage('Unit price must be a non-negative number'),
+    body('taxRate')
+        .optional()
+        .isFloat({ min: 0, max: 28 })
+        .withMessage('Tax rate must be between 0 and 28')
 ];
 
+const voidChargeValidation = [
+    body('reason')
+        .trim()
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Void reason must be between 2 and 200 characters')
+];
+
+// Validation for discounts: either a coupon code, or a kind, value and reason
+const discountValidation = [
+    body('couponCode')
+        .optional()
+        .trim()
+        .isLength({ min: 3, max: 30 })
+        .withMessage('Coupon code must be between 3 and 30 characters'),
+    body('kind')
+        .if(body('couponCode').not().exists())
+        .isIn(['percent', 'flat'])
+        .withMessage('Discount kind must be percent or flat'),
+    body('value')
+        .if(body('couponCode').not().exists())
+        .isFloat({ gt: 0 })
+        .withMessage('Discount value must be greater than 0'),
+    body('reason')
+        .if(body('couponCode').not().exists())
+        .trim()
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Discount reason must be between 2 and 200 characters')
+];
+
+const complimentaryValidation = [
+    body('reason')
+        .trim()
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Reason must be between 2 and 200 characters')
+];
+
+// Refunds that take a booking's total refunds above the approval threshold need a manager
+// or admin, so splitting a refund into smaller ones does not get around the approval. The
+// refund itself rechecks this atomically, for refunds recorded at the same time.
+const authorizeRefund = async (req, res, next) => {
+    try {
+        const refunded = await paymentService.refundedAmount(req.params.id);
+        if (refunded + (Number(req.body.amount) || 0) > refundApprovalThreshold) {
+            return authorize('admin', 'manager')(req, res, next);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
 // All routes require authentication
 router.use(protect);
 
@@ -127,4 +340,59 @@ router.route('/:id')
 router.route('/:id/status')
     .put(statusValidation, updateBookingStatus);
 
+router.route('/:id/check-in')
+    .post(checkInBooking);
+
+router.route('/:id/cancel')
+    .post(cancelValidation, cancelBooking);
+
+router.route('/:id/extend')
+    .post(extendValidation, extendStay);
+
+router.route('/:id/early-checkout')
+    .post(earlyCheckoutValidation, earlyCheckout);
+
+router.route('/:id/payments')
+    .get(getBookingPayments)
+    .post(paymentValidation, recordPayment);
+
+router.route('/:id/invoice')
+    .post(invoiceValidation, generateInvoice);
+
+router.route('/:id/invoice.pdf')
+    .get(getInvoicePdf);
+
+router.route('/:id/registration-card.pdf')
+    .get(getRegistrationCardPdf);
+
+router.route('/:id/charges')
+    .get(getCharges)
+    .post(chargeValidation, postCharge);
+
+router.route('/:id/charges/:chargeId/void')
+    .post(authorize('admin', 'manager'), voidChargeValidation, voidCharge);
+
+router.route('/:id/discount')
+    .post(discountValidation, applyDiscount)
+    .delete(removeDiscount);
+
+router.route('/:id/complimentary')
+    .post(authorize('admin', 'manager'), complimentaryValidation, makeComplimentary);
+
+router.route('/:id/deposits')
+    .post(depositValidation, recordDeposit);
+
+router.route('/:id/refunds')
+    .post(authorizeRefund, depositValidation, recordRefund);
+
+router.route('/:id/aadhaar/reveal')
+    .post(authorize(...aadhaarConfig.revealRoles), aadhaarRevealValidation, revealBookingAadhaar);
+
+router.route('/:id/loyalty-redemptions')
+    .post(loyaltyRedemptionValidation, redeemPoints);
+
+router.route('/:id/payment-orders')
+    .get(getPaymentOrders)
+    .post(paymentOrderValidation, createPaymentOrder);
+
 module.exports = router;
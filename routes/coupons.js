@@ -0,0 +1,89 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+    getCoupons,
+    getCoupon,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon
+} = require('../controllers/coupons');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation middleware for creating coupon
+const couponValidation = [
+    body('code')
+        .trim()
+        .matches(/^[A-Za-z0-9_-]{3,30}$/)
+        .withMessage('Coupon code must be 3-30 letters, numbers, dashes or underscores'),
+    body('discountType')
+        .isIn(['percent', 'flat'])
+        .withMessage('Discount type must be percent or flat'),
+    body('value')
+        .isFloat({ gt: 0 })
+        .withMessage('Discount value must be greater than 0'),
+    body('validFrom')
+        .isISO8601()
+        .withMessage('Valid from must be a valid date'),
+    body('validTo')
+        .isISO8601()
+        .withMessage('Valid to must be a valid date'),
+    body('usageLimit')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('Usage limit must be at least 1'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be true or false')
+];
+
+// Validation middleware for updating coupon (all fields optional)
+const couponUpdateValidation = [
+    body('code')
+        .optional()
+        .trim()
+        .matches(/^[A-Za-z0-9_-]{3,30}$/)
+        .withMessage('Coupon code must be 3-30 letters, numbers, dashes or underscores'),
+    body('discountType')
+        .optional()
+        .isIn(['percent', 'flat'])
+        .withMessage('Discount type must be percent or flat'),
+    body('value')
+        .optional()
+        .isFloat({ gt: 0 })
+        .withMessage('Discount value must be greater than 0'),
+    body('validFrom')
+        .optional()
+        .isISO8601()
+        .withMessage('Valid from must be a valid date'),
+    body('validTo')
+        .optional()
+        .isISO8601()
+        .withMessage('Valid to must be a valid date'),
+    body('usageLimit')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('Usage limit must be at least 1'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be true or false')
+];
+
+// All routes require authentication; coupons are managed by admins and managers
+router.use(protect);
+router.use(authorize('admin', 'manager'));
+
+// Routes
+router.route('/')
+    .get(getCoupons)
+    .post(couponValidation, createCoupon);
+
+router.route('/:id')
+    .get(getCoupon)
+    .put(couponUpdateValidation, updateCoupon)
+    .delete(deleteCoupon);
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+    getDuplicateCandidates,
+    mergeGuests,
+    getMerges,
+    undoMerge,
+    getFlags,
+    createFlag,
+    clearFlag
+} = require('../controllers/guests');
+const { getGuestLoyalty } = require('../controllers/loyalty');
+const { revealGuestAadhaar, getAadhaarReveals } = require('../controllers/aadhaar');
+const { aadhaar: aadhaarConfig } = require('../config/hotel');
+const GuestFlag = require('../models/GuestFlag');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation for merging two guest profiles
+const mergeValidation = [
+    body('survivorId')
+        .isMongoId()
+        .withMessage('Surviving guest id is required'),
+    body('mergedId')
+        .isMongoId()
+        .withMessage('Id of the guest to merge is required'),
+    body('reason')
+        .optional()
+        .isLength({ max: 200 })
+        .withMessage('Reason cannot exceed 200 characters')
+];
+
+// Validation for flagging a guest
+const flagValidation = [
+    body('guestId')
+        .optional()
+        .isMongoId()
+        .withMessage('Guest id must be valid'),
+    body('name')
+        .optional()
+        .isLength({ max: 100 })
+        .withMessage('Name cannot exceed 100 characters'),
+    body('mobile')
+        .optional({ checkFalsy: true })
+        .matches(/^[0-9]{10}$/)
+        .withMessage('Mobile number must be exactly 10 digits'),
+    body('aadhaar')
+        .optional({ checkFalsy: true })
+        .matches(/^[0-9]{4}-?[0-9]{4}-?[0-9]{4}$/)
+        .withMessage('Aadhaar number must have 12 digits'),
+    body('category')
+        .isIn(GuestFlag.CATEGORIES)
+        .withMessage(`Category must be one of: ${GuestFlag.CATEGORIES.join(', ')}`),
+    body('severity')
+        .isIn(GuestFlag.SEVERITIES)
+        .withMessage(`Severity must be one of: ${GuestFlag.SEVERITIES.join(', ')}`),
+    body('reason')
+        .trim()
+        .isLength({ min: 3, max: 500 })
+        .withMessage('Reason must be between 3 and 500 characters')
+];
+
+// Validation for clearing a flag
+const clearFlagValidation = [
+    body('reason')
+        .trim()
+        .isLength({ min: 3, max: 500 })
+        .withMessage('A reason between 3 and 500 characters is required to clear a flag')
+];
+
+// Revealing a full Aadhaar number needs a reason for the audit log
+const aadhaarRevealValidation = [
+    body('reason')
+        .trim()
+        .isLength({ min: 3, max: 200 })
+        .withMessage('A reason between 3 and 200 characters is required')
+];
+
+// All routes require authentication
+router.use(protect);
+
+// Revealing a guest's Aadhaar is open to the roles in AADHAAR_REVEAL_ROLES, so it is
+// registered ahead of the admin/manager check on the rest of the guest routes
+router.route('/:id/aadhaar/reveal')
+    .post(authorize(...aadhaarConfig.revealRoles), aadhaarRevealValidation, revealGuestAadhaar);
+
+// Merging profiles, the watchlist and loyalty history are for admins and managers
+router.use(authorize('admin', 'manager'));
+
+// Routes
+router.route('/duplicates')
+    .get(getDuplicateCandidates);
+
+router.route('/merge')
+    .post(mergeValidation, mergeGuests);
+
+router.route('/merges')
+    .get(getMerges);
+
+router.route('/merges/:id/undo')
+    .post(undoMerge);
+
+router.route('/flags')
+    .get(getFlags)
+    .post(flagValidation, createFlag);
+
+router.route('/flags/:id/clear')
+    .post(clearFlagValidation, clearFlag);
+
+router.route('/aadhaar-reveals')
+    .get(authorize('admin'), getAadhaarReveals);
+
+router.route('/:id/loyalty')
+    .get(getGuestLoyalty);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { getInvoices, getInvoice, createCreditNote } = require('../controllers/invoices');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation for credit notes; without taxableValue the whole remaining invoice is credited
+const creditNoteValidation = [
+    body('taxableValue')
+        .optional()
+        .isFloat({ gt: 0 })
+        .withMessage('Taxable value must be greater than 0'),
+    body('reason')
+        .trim()
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Reason must be between 2 and 200 characters')
+];
+
+// All routes require authentication
+router.use(protect);
+
+// Routes
+router.route('/')
+    .get(getInvoices);
+
+router.route('/:id')
+    .get(getInvoice);
+
+router.route('/:id/credit-notes')
+    .post(authorize('admin', 'manager'), creditNoteValidation, createCreditNote);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { closeDay, getDayCloses, getDayClose } = require('../controllers/nightAudit');
+const { protect, authorize } = require('../middleware/auth');
+const { parseDateKey } = require('../utils/helpers');
+
+const router = express.Router();
+
+// Validation for closing a day
+const closeValidation = [
+    body('businessDate')
+        .optional()
+        .custom(value => {
+            if (!parseDateKey(value)) {
+                throw new Error('Business date must be in YYYY-MM-DD format');
+            }
+            return true;
+        }),
+    body('notes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+];
+
+// All routes require authentication
+router.use(protect);
+
+// Routes
+router.route('/')
+    .get(getDayCloses);
+
+router.route('/close')
+    .post(authorize('admin', 'manager'), closeValidation, closeDay);
+
+router.route('/:date')
+    .get(getDayClose);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { getPayments, voidPayment } = require('../controllers/payments');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation for the ledger filters
+const paymentFilterValidation = [
+    query('receivedBy')
+        .optional()
+        .isMongoId()
+        .withMessage('receivedBy must be a valid user id'),
+    query('shift')
+        .optional()
+        .isMongoId()
+        .withMessage('shift must be a valid shift id')
+];
+
+// Validation for voiding a payment
+const voidValidation = [
+    body('reason')
+        .trim()
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Void reason must be between 2 and 200 characters')
+];
+
+// All routes require authentication
+router.use(protect);
+
+// Routes
+router.route('/')
+    .get(paymentFilterValidation, getPayments);
+
+router.route('/:id/void')
+    .post(authorize('admin', 'manager'), voidValidation, voidPayment);
+
+module.exports = router;
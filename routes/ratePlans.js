@@ -0,0 +1,101 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+    getRatePlans,
+    getQuote,
+    getRatePlan,
+    createRatePlan,
+    updateRatePlan,
+    deleteRatePlan
+} = require('../controllers/ratePlans');
+const { protect, authorize } = require('../middleware/auth');
+const Room = require('../models/Room');
+
+const router = express.Router();
+
+// Validation for the nested season/festival/weekend settings, shared by create and update
+const ratePlanDetailValidation = [
+    body('weekendDays')
+        .optional()
+        .isArray()
+        .withMessage('Weekend days must be an array'),
+    body('weekendDays.*')
+        .isInt({ min: 0, max: 6 })
+        .withMessage('Weekend days must be between 0 (Sunday) and 6 (Saturday)'),
+    body('weekendUpliftPercent')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Weekend uplift must be a non-negative number'),
+    body('seasons')
+        .optional()
+        .isArray()
+        .withMessage('Seasons must be an array'),
+    body('seasons.*.from')
+        .isISO8601()
+        .withMessage('Season start must be a valid date'),
+    body('seasons.*.to')
+        .isISO8601()
+        .withMessage('Season end must be a valid date'),
+    body('seasons.*.rate')
+        .isFloat({ min: 0 })
+        .withMessage('Season rate must be a non-negative number'),
+    body('festivals')
+        .optional()
+        .isArray()
+        .withMessage('Festivals must be an array'),
+    body('festivals.*.date')
+        .isISO8601()
+        .withMessage('Festival date must be a valid date'),
+    body('festivals.*.rate')
+        .isFloat({ min: 0 })
+        .withMessage('Festival rate must be a non-negative number')
+];
+
+// Validation middleware for creating rate plan
+const ratePlanValidation = [
+    body('name')
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Rate plan name must be between 2 and 100 characters'),
+    body('roomType')
+        .isIn(Room.ROOM_TYPES)
+        .withMessage(`Room type must be one of: ${Room.ROOM_TYPES.join(', ')}`),
+    body('baseRate')
+        .isFloat({ min: 0 })
+        .withMessage('Base rate must be a non-negative number'),
+    ...ratePlanDetailValidation
+];
+
+// Validation middleware for updating rate plan (all fields optional)
+const ratePlanUpdateValidation = [
+    body('name')
+        .optional()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Rate plan name must be between 2 and 100 characters'),
+    body('roomType')
+        .optional()
+        .isIn(Room.ROOM_TYPES)
+        .withMessage(`Room type must be one of: ${Room.ROOM_TYPES.join(', ')}`),
+    body('baseRate')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Base rate must be a non-negative number'),
+    ...ratePlanDetailValidation
+];
+
+// All routes require authentication
+router.use(protect);
+
+// Routes
+router.route('/')
+    .get(getRatePlans)
+    .post(authorize('admin', 'manager'), ratePlanValidation, createRatePlan);
+
+router.route('/quote')
+    .get(getQuote);
+
+router.route('/:id')
+    .get(getRatePlan)
+    .put(authorize('admin', 'manager'), ratePlanUpdateValidation, updateRatePlan)
+    .delete(authorize('admin', 'manager'), deleteRatePlan);
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+    getRooms,
+    getAvailability,
+    getRoom,
+    createRoom,
+    updateRoom,
+    deleteRoom,
+    addRoomBlock,
+    removeRoomBlock
+} = require('../controllers/rooms');
+const { protect, authorize } = require('../middleware/auth');
+const Room = require('../models/Room');
+
+const router = express.Router();
+
+const roomTypes = Room.ROOM_TYPES;
+
+// Validation middleware for creating room
+const roomValidation = [
+    body('roomNumber')
+        .notEmpty()
+        .withMessage('Room number is required')
+        .isLength({ min: 1, max: 10 })
+        .withMessage('Room number cannot exceed 10 characters'),
+    body('type')
+        .optional()
+        .isIn(roomTypes)
+        .withMessage(`Room type must be one of: ${roomTypes.join(', ')}`),
+    body('floor')
+        .isInt({ min: 0 })
+        .withMessage('Floor must be a non-negative number'),
+    body('capacity')
+        .optional()
+        .isInt({ min: 1, max: 20 })
+        .withMessage('Capacity must be between 1 and 20'),
+    body('baseTariff')
+        .isFloat({ min: 0 })
+        .withMessage('Base tariff must be a non-negative number'),
+    body('hourlyRate')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 })
+        .withMessage('Hourly rate must be a non-negative number'),
+    body('dayUseRate')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 })
+        .withMessage('Day-use rate must be a non-negative number'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be true or false')
+];
+
+// Validation middleware for updating room (all fields optional)
+const roomUpdateValidation = [
+    body('roomNumber')
+        .optional()
+        .isLength({ min: 1, max: 10 })
+        .withMessage('Room number cannot exceed 10 characters'),
+    body('type')
+        .optional()
+        .isIn(roomTypes)
+        .withMessage(`Room type must be one of: ${roomTypes.join(', ')}`),
+    body('floor')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Floor must be a non-negative number'),
+    body('capacity')
+        .optional()
+        .isInt({ min: 1, max: 20 })
+        .withMessage('Capacity must be between 1 and 20'),
+    body('baseTariff')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Base tariff must be a non-negative number'),
+    body('hourlyRate')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 })
+        .withMessage('Hourly rate must be a non-negative number'),
+    body('dayUseRate')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 })
+        .withMessage('Day-use rate must be a non-negative number'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be true or false')
+];
+
+// Validation for room blocks; a block covers [from, to)
+const blockValidation = [
+    body('from')
+        .isISO8601()
+        .withMessage('Block start must be a valid date'),
+    body('to')
+        .isISO8601()
+        .withMessage('Block end must be a valid date')
+        .custom((to, { req }) => {
+            if (req.body.from && new Date(to) <= new Date(req.body.from)) {
+                throw new Error('Block end must be after block start');
+            }
+            return true;
+        }),
+    body('reason')
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Block reason must be between 2 and 200 characters')
+];
+
+// All routes require authentication
+router.use(protect);
+
+// Routes
+router.route('/')
+    .get(getRooms)
+    .post(authorize('admin', 'manager'), roomValidation, createRoom);
+
+router.route('/availability')
+    .get(getAvailability);
+
+router.route('/:id')
+    .get(getRoom)
+    .put(authorize('admin', 'manager'), roomUpdateValidation, updateRoom)
+    .delete(authorize('admin', 'manager'), deleteRoom);
+
+router.route('/:id/blocks')
+    .post(authorize('admin', 'manager'), blockValidation, addRoomBlock);
+
+router.route('/:id/blocks/:blockId')
+    .delete(authorize('admin', 'manager'), removeRoomBlock);
+
+module.exports = router;
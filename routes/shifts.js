@@ -0,0 +1,67 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+    openShift,
+    getCurrentShift,
+    getShifts,
+    getVarianceReport,
+    getShift,
+    closeShift
+} = require('../controllers/shifts');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation for opening a shift
+const openValidation = [
+    body('openingFloat')
+        .isFloat({ min: 0 })
+        .withMessage('Opening float must be a non-negative number'),
+    body('notes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Validation for closing a shift
+const closeValidation = [
+    body('countedCash')
+        .isFloat({ min: 0 })
+        .withMessage('Counted cash must be a non-negative number'),
+    body('notes')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Validation for the shift filters
+const shiftFilterValidation = [
+    query('user')
+        .optional()
+        .isMongoId()
+        .withMessage('user must be a valid user id')
+];
+
+// All routes require authentication
+router.use(protect);
+
+// Routes
+router.route('/')
+    .get(shiftFilterValidation, getShifts);
+
+router.route('/open')
+    .post(openValidation, openShift);
+
+router.route('/current')
+    .get(getCurrentShift);
+
+router.route('/variance')
+    .get(authorize('admin', 'manager'), shiftFilterValidation, getVarianceReport);
+
+router.route('/:id')
+    .get(getShift);
+
+router.route('/:id/close')
+    .post(closeValidation, closeShift);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const { handleGatewayWebhook } = require('../controllers/payments');
+
+const router = express.Router();
+
+// Webhooks are called by third parties, so they are public and authenticated by
+// their signature instead. The signature covers the exact bytes sent, so the body
+// is kept raw rather than parsed as JSON.
+router.post('/payment-gateway', express.raw({ type: 'application/json', limit: '1mb' }), handleGatewayWebhook);
+
+module.exports = router;
@@ -15,9 +15,16 @@ const archiveOldData = async () => {
 
         console.log(`Archiving data older than: ${twoYearsAgo.toISOString()}`);
 
+        // Only bookings linked to a guest profile can be summarised
+        const unlinked = await Booking.countDocuments({ createdAt: { $lt: twoYearsAgo }, customer: null });
+        if (unlinked > 0) {
+            console.warn(`Skipping ${unlinked} old bookings with no guest profile; run scripts/migrateGuests.js first`);
+        }
+
         // Find old bookings
         const oldBookings = await Booking.find({
-            createdAt: { $lt: twoYearsAgo }
+            createdAt: { $lt: twoYearsAgo },
+            customer: { $ne: null }
         }).populate('customer');
 
         if (oldBookings.length === 0) {
@@ -30,6 +37,7 @@ const archiveOldData = async () => {
         // Group bookings by customer
         const customerBookings = {};
         oldBookings.forEach(booking => {
+            if (!booking.customer) return; // Profile no longer exists
             const customerId = booking.customer._id.toString();
             if (!customerBookings[customerId]) {
                 customerBookings[customerId] = {
@@ -78,31 +86,17 @@ const archiveOldData = async () => {
                 });
             }
 
-            // Update customer record to subtract archived data
-            customer.totalVisits = Math.max(0, customer.totalVisits - totalHistoricVisits);
-            customer.totalRevenue = Math.max(0, customer.totalRevenue - totalHistoricRevenue);
-            await customer.save();
-
             console.log(`Archived ${totalHistoricVisits} visits for customer: ${customer.name}`);
         }
 
-        // Delete old bookings
+        // Delete old bookings. Guest profiles are kept, so a returning guest is
+        // recognised and their summary stays linked to them.
         const deleteResult = await Booking.deleteMany({
-            createdAt: { $lt: twoYearsAgo }
+            _id: { $in: oldBookings.filter(booking => booking.customer).map(booking => booking._id) }
         });
 
         console.log(`Deleted ${deleteResult.deletedCount} old bookings`);
 
-        // Clean up customers with no recent visits
-        const customersToCheck = await Customer.find({ totalVisits: 0 });
-        for (const customer of customersToCheck) {
-            const recentBookings = await Booking.countDocuments({ customer: customer._id });
-            if (recentBookings === 0) {
-                await Customer.findByIdAndDelete(customer._id);
-                console.log(`Deleted inactive customer: ${customer.name}`);
-            }
-        }
-
         console.log('Archive process completed successfully');
     } catch (error) {
         console.error('Archive process failed:', error);
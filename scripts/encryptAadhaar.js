@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const Booking = require('../models/Booking');
+const Guest = require('../models/Guest');
+const GuestFlag = require('../models/GuestFlag');
+const GuestMerge = require('../models/GuestMerge');
+const CustomerSummary = require('../models/CustomerSummary');
+const { assertAadhaarKeys, isEncrypted, encryptAadhaar, hashAadhaar } = require('../utils/aadhaar');
+
+// Each Aadhaar field and the lookup hash stored beside it
+const HASH_FIELD_FOR = { aadhaar: 'aadhaarHash', customerAadhaar: 'customerAadhaarHash' };
+
+// Encrypt the plain Aadhaar numbers in a stored object (and its additional guests)
+// and fill in their hashes. Returns true when anything changed.
+const encryptFields = (object) => {
+    if (!object || typeof object !== 'object') return false;
+
+    let changed = false;
+    Object.entries(HASH_FIELD_FOR).forEach(([field, hashField]) => {
+        const value = object[field];
+        if (!value) return;
+        if (!isEncrypted(value)) {
+            object[field] = encryptAadhaar(value);
+            changed = true;
+        }
+        if (!object[hashField]) {
+            object[hashField] = hashAadhaar(value);
+            changed = true;
+        }
+    });
+    (object.additionalGuests || []).forEach(guest => {
+        if (encryptFields(guest)) changed = true;
+    });
+    return changed;
+};
+
+// Merge records keep snapshots of the profiles and summaries they changed
+const encryptMergeSnapshots = (doc) => [doc.merged, doc.survivorBefore, ...(doc.summariesBefore || [])]
+    .map(encryptFields)
+    .some(Boolean);
+
+// Rewrite the given fields of every document that still holds a plain number. The raw
+// collection is used so values are not passed through the schema setters again.
+const encryptCollection = async (Model, fields, encryptDoc) => {
+    let updated = 0;
+    const cursor = Model.collection.find({}, { projection: Object.fromEntries(fields.map(field => [field, 1])) });
+
+    for await (const doc of cursor) {
+        if (!encryptDoc(doc)) continue;
+
+        const update = {};
+        fields.forEach(field => {
+            if (doc[field] !== undefined) update[field] = doc[field];
+        });
+        await Model.collection.updateOne({ _id: doc._id }, { $set: update });
+        updated++;
+    }
+
+    console.log(`${Model.modelName}: encrypted Aadhaar numbers in ${updated} documents`);
+};
+
+// Encrypt Aadhaar numbers stored before field-level encryption, add their lookup
+// hashes and swap the plain-text indexes for hash indexes. Safe to run more than once.
+const encryptStoredAadhaar = async () => {
+    try {
+        assertAadhaarKeys();
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        await encryptCollection(Booking, ['customerAadhaar', 'customerAadhaarHash', 'additionalGuests'], encryptFields);
+        await encryptCollection(Guest, ['aadhaar', 'aadhaarHash'], encryptFields);
+        await encryptCollection(GuestFlag, ['aadhaar', 'aadhaarHash'], encryptFields);
+        await encryptCollection(CustomerSummary, ['aadhaar', 'aadhaarHash'], encryptFields);
+        await encryptCollection(GuestMerge, ['merged', 'survivorBefore', 'summariesBefore'], encryptMergeSnapshots);
+
+        for (const Model of [Booking, Guest, GuestFlag, CustomerSummary]) {
+            await Model.syncIndexes();
+        }
+        console.log('Aadhaar indexes updated');
+    } catch (error) {
+        console.error('Aadhaar encryption failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+// Run the migration
+if (require.main === module) {
+    encryptStoredAadhaar();
+}
+
+module.exports = encryptStoredAadhaar;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const Booking = require('../models/Booking');
+const Guest = require('../models/Guest');
+const guestService = require('../services/guests');
+
+// Build guest profiles from existing bookings and link every booking to them.
+// Bookings are read oldest first so each profile is dated from the guest's first
+// stay and ends up with their latest name and mobile. Safe to run more than once.
+const migrateGuests = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        await Guest.syncIndexes();
+        const guestsBefore = await Guest.countDocuments();
+
+        const cursor = Booking.find()
+            .select('customerName customerMobile customerAadhaar additionalGuests createdAt')
+            .sort({ createdAt: 1 })
+            .lean()
+            .cursor();
+
+        let linked = 0;
+        for await (const booking of cursor) {
+            await guestService.linkBookingGuests(booking, { seenAt: booking.createdAt });
+
+            const update = { customer: booking.customer };
+            (booking.additionalGuests || []).forEach((guest, index) => {
+                update[`additionalGuests.${index}.guest`] = guest.guest;
+            });
+            await Booking.updateOne({ _id: booking._id }, { $set: update });
+
+            linked++;
+            if (linked % 500 === 0) {
+                console.log(`Linked ${linked} bookings`);
+            }
+        }
+
+        const guestsAfter = await Guest.countDocuments();
+        console.log(`Linked ${linked} bookings; created ${guestsAfter - guestsBefore} guest profiles (${guestsAfter} in total)`);
+    } catch (error) {
+        console.error('Guest migration failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+// Run the migration
+if (require.main === module) {
+    migrateGuests();
+}
+
+module.exports = migrateGuests;
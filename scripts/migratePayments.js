@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+
+// Bookings marked paid by hand before the payments ledger have nothing in amountPaid,
+// so deriving their payment status would turn them back to pending. Record the amount
+// due as already paid on those bookings. The derived status never gives 'paid' with
+// nothing paid, so only legacy bookings match. Bookings refunded before they kept a
+// refundedAmount total get it from the ledger. Safe to run more than once.
+const migratePayments = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        const result = await Booking.updateMany(
+            {
+                paymentStatus: 'paid',
+                $or: [{ amountPaid: { $exists: false } }, { amountPaid: null }, { amountPaid: { $lte: 0 } }]
+            },
+            [
+                { $set: { amountPaid: Booking.AMOUNT_DUE_EXPR } },
+                ...Booking.PAYMENT_STATUS_STAGES
+            ]
+        );
+
+        console.log(`Set amountPaid on ${result.modifiedCount} bookings marked paid before the payments ledger`);
+
+        const refunds = await Payment.aggregate([
+            { $match: { type: 'refund', voided: false } },
+            { $group: { _id: '$booking', total: { $sum: '$amount' } } }
+        ]);
+        let refunded = 0;
+        for (const row of refunds) {
+            const update = await Booking.updateOne(
+                { _id: row._id, refundedAmount: { $exists: false } },
+                { $set: { refundedAmount: Math.round(row.total * 100) / 100 } }
+            );
+            refunded += update.modifiedCount;
+        }
+        console.log(`Set refundedAmount on ${refunded} bookings refunded before it was kept`);
+    } catch (error) {
+        console.error('Payment migration failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+// Run the migration
+if (require.main === module) {
+    migratePayments();
+}
+
+module.exports = migratePayments;
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const express = require('express');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+// Local stand-in for the Razorpay API, for testing online payments without the real gateway.
+// Point the server at it with PAYMENT_GATEWAY_API_URL=http://localhost:4010/v1.
+//
+//   POST /v1/orders               create an order (same request and response shape as Razorpay)
+//   POST /v1/orders/:id/pay       pay an order: sends a signed payment.captured webhook
+//   POST /v1/orders/:id/fail      fail an order: sends a signed payment.failed webhook
+//
+// Pass ?repeat=2 to /pay to deliver the same event twice.
+
+const port = parseInt(process.env.GATEWAY_STUB_PORT) || 4010;
+const webhookUrl = process.env.GATEWAY_STUB_WEBHOOK_URL ||
+    `http://localhost:${process.env.PORT || 5000}/api/webhooks/payment-gateway`;
+const keyId = process.env.PAYMENT_GATEWAY_KEY_ID;
+const keySecret = process.env.PAYMENT_GATEWAY_KEY_SECRET;
+const webhookSecret = process.env.PAYMENT_GATEWAY_WEBHOOK_SECRET;
+
+const orders = new Map();
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+
+// Sign and deliver a webhook the way Razorpay does
+const sendWebhook = async (event, payment, times = 1) => {
+    const body = JSON.stringify({
+        entity: 'event',
+        event,
+        payload: { payment: { entity: payment } },
+        created_at: Math.floor(Date.now() / 1000)
+    });
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Event-Id': randomId('evt'),
+        'X-Razorpay-Signature': crypto.createHmac('sha256', webhookSecret).update(body).digest('hex')
+    };
+
+    const responses = [];
+    for (let i = 0; i < times; i++) {
+        const response = await fetch(webhookUrl, { method: 'POST', headers, body });
+        responses.push({ status: response.status, body: await response.json().catch(() => null) });
+    }
+    return responses;
+};
+
+const app = express();
+app.use(express.json());
+
+// Basic auth with the configured key id and secret, as the real API requires
+app.use('/v1', (req, res, next) => {
+    const expected = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`;
+    if (req.get('Authorization') !== expected) {
+        return res.status(401).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'Authentication failed' } });
+    }
+    next();
+});
+
+app.post('/v1/orders', (req, res) => {
+    const { amount, currency = 'INR', receipt, notes } = req.body;
+    if (!Number.isInteger(amount) || amount < 100) {
+        return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'Order amount less than minimum amount allowed' } });
+    }
+
+    const order = {
+        id: randomId('order'),
+        entity: 'order',
+        amount,
+        amount_paid: 0,
+        amount_due: amount,
+        currency,
+        receipt,
+        notes,
+        status: 'created',
+        created_at: Math.floor(Date.now() / 1000)
+    };
+    orders.set(order.id, order);
+    res.json(order);
+});
+
+app.post('/v1/orders/:id/:outcome(pay|fail)', async (req, res) => {
+    const order = orders.get(req.params.id);
+    if (!order) {
+        return res.status(404).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+    }
+
+    const failed = req.params.outcome === 'fail';
+    const payment = {
+        id: randomId('pay'),
+        entity: 'payment',
+        amount: order.amount,
+        currency: order.currency,
+        status: failed ? 'failed' : 'captured',
+        order_id: order.id,
+        method: req.query.method || 'upi',
+        error_description: failed ? 'Payment was declined by the bank' : null
+    };
+    if (!failed) order.status = 'paid';
+
+    try {
+        const deliveries = await sendWebhook(failed ? 'payment.failed' : 'payment.captured', payment, parseInt(req.query.repeat) || 1);
+        res.json({ payment, deliveries });
+    } catch (error) {
+        res.status(502).json({ error: { description: `Webhook delivery failed: ${error.message}` } });
+    }
+});
+
+if (!keyId || !keySecret || !webhookSecret) {
+    console.error('Set PAYMENT_GATEWAY_KEY_ID, PAYMENT_GATEWAY_KEY_SECRET and PAYMENT_GATEWAY_WEBHOOK_SECRET first');
+    process.exit(1);
+}
+
+app.listen(port, () => {
+    console.log(`Payment gateway stub listening on http://localhost:${port}/v1`);
+    console.log(`Webhooks are sent to ${webhookUrl}`);
+});
@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const Booking = require('../models/Booking');
+const Guest = require('../models/Guest');
 require('dotenv').config();
 
 const seedData = async () => {
@@ -13,6 +14,7 @@ const seedData = async () => {
         // Clear existing data
         await User.deleteMany({});
         await Booking.deleteMany({});
+        await Guest.deleteMany({});
         console.log('Cleared existing data');
 
         // Create admin user
@@ -67,14 +69,10 @@ const seedData = async () => {
             }
         ];
 
-        // Create customers
+        // Create guest profiles
         const customers = [];
-        for (let customerData of customersData) {
-            const customer = await Customer.create({
-                ...customerData,
-                totalVisits: Math.floor(Math.random() * 5) + 1,
-                totalRevenue: Math.floor(Math.random() * 10000) + 2000
-            });
+        for (let { aadhaarImage, ...customerData } of customersData) {
+            const customer = await Guest.create(customerData);
             customers.push(customer);
         }
 
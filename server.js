@@ -12,17 +12,34 @@ const authRoutes = require('./routes/auth');
 const bookingRoutes = require('./routes/bookings');
 const analyticsRoutes = require('./routes/analytics');
 const uploadRoutes = require('./routes/upload');
+const roomRoutes = require('./routes/rooms');
+const ratePlanRoutes = require('./routes/ratePlans');
+const paymentRoutes = require('./routes/payments');
+const invoiceRoutes = require('./routes/invoices');
+const couponRoutes = require('./routes/coupons');
+const nightAuditRoutes = require('./routes/nightAudit');
+const shiftRoutes = require('./routes/shifts');
+const guestRoutes = require('./routes/guests');
+const webhookRoutes = require('./routes/webhooks');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const { notFound } = require('./middleware/notFound');
 
+// Import services
+const reservationService = require('./services/reservations');
+const { assertAadhaarKeys } = require('./utils/aadhaar');
+
 const app = express();
 
 // Security middleware
 app.use(helmet());
 app.use(compression());
 
+// Gateway webhooks come from the gateway's servers with no browser origin and need the
+// raw request body, so they are mounted ahead of rate limiting, CORS and the JSON parser
+app.use('/api/webhooks', webhookRoutes);
+
 // Rate limiting
 const limiter = rateLimit({
     windowMs: parseInt(process.env.WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -84,6 +101,14 @@ if (process.env.NODE_ENV === 'development') {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/rooms', roomRoutes);
+app.use('/api/rate-plans', ratePlanRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/night-audit', nightAuditRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/guests', guestRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/analytics', analyticsRoutes);
 
@@ -97,6 +122,15 @@ app.get('/', (req, res) => {
             health: '/api/health',
             auth: '/api/auth',
             bookings: '/api/bookings',
+            rooms: '/api/rooms',
+            ratePlans: '/api/rate-plans',
+            payments: '/api/payments',
+            invoices: '/api/invoices',
+            coupons: '/api/coupons',
+            nightAudit: '/api/night-audit',
+            shifts: '/api/shifts',
+            guests: '/api/guests',
+            webhooks: '/api/webhooks',
             analytics: '/api/analytics'
         },
         timestamp: new Date().toISOString(),
@@ -116,6 +150,16 @@ app.get('/api/health', (req, res) => {
 app.use(notFound);
 app.use(errorHandler);
 
+// Settings the server cannot run without
+const checkEnvironment = () => {
+    try {
+        assertAadhaarKeys();
+    } catch (error) {
+        console.error('Invalid configuration:', error.message);
+        process.exit(1);
+    }
+};
+
 // Database connection
 const connectDB = async () => {
     try {
@@ -131,12 +175,27 @@ const connectDB = async () => {
 const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
+    checkEnvironment();
     await connectDB();
 
     const server = app.listen(PORT, () => {
         console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
     });
 
+    // Mark reservations whose arrival date has passed as no-show
+    const runNoShowSweep = async () => {
+        try {
+            const marked = await reservationService.markNoShows();
+            if (marked > 0) {
+                console.log(`No-show sweep: marked ${marked} reservations as no-show`);
+            }
+        } catch (error) {
+            console.error('No-show sweep failed:', error.message);
+        }
+    };
+    runNoShowSweep();
+    setInterval(runNoShowSweep, 60 * 60 * 1000); // Run every hour
+
     // Keep-alive mechanism to prevent Render from sleeping
     if (process.env.NODE_ENV === 'production') {
         const keepAlive = () => {
@@ -0,0 +1,46 @@
+const hotelConfig = require('../config/hotel');
+const { calculateBillableUnits } = require('../utils/helpers');
+
+class CancellationPolicyService {
+    // Rules ordered from the earliest cancellation window to the latest
+    get rules() {
+        return [...hotelConfig.cancellationPolicy].sort((a, b) =>
+            (b.minHoursBeforeCheckIn ?? -Infinity) - (a.minHoursBeforeCheckIn ?? -Infinity));
+    }
+
+    // Work out the cancellation fee for a booking cancelled at the given time
+    calculateFee(booking, cancelledAt = new Date()) {
+        const hoursBeforeCheckIn = (new Date(booking.checkIn) - cancelledAt) / (1000 * 60 * 60);
+        const rules = this.rules;
+        const rule = rules.find(r => hoursBeforeCheckIn >= (r.minHoursBeforeCheckIn ?? -Infinity)) ||
+            rules[rules.length - 1];
+
+        let chargeNights = rule ? rule.chargeNights || 0 : 0;
+        let fee;
+
+        if (booking.pricingMode && booking.pricingMode !== 'nightly') {
+            // Short stays are charged at most the booked stay price
+            const units = calculateBillableUnits(booking.checkIn, booking.checkOut || booking.checkIn, booking.pricingMode);
+            chargeNights = Math.min(chargeNights, 1);
+            fee = chargeNights > 0 ? units * (booking.rent || 0) : 0;
+        } else {
+            // Never charge more nights than the booking was for
+            if (booking.checkOut) {
+                chargeNights = Math.min(chargeNights, calculateBillableUnits(booking.checkIn, booking.checkOut));
+            }
+            fee = Math.max(chargeNights, 0) * (booking.rent || 0);
+        }
+
+        return {
+            fee,
+            chargeNights,
+            hoursBeforeCheckIn: Math.round(hoursBeforeCheckIn * 10) / 10,
+            rule: rule ? `${rule.chargeNights || 0} night(s) charged for ` +
+                (Number.isFinite(rule.minHoursBeforeCheckIn)
+                    ? `cancellation ${rule.minHoursBeforeCheckIn}h or more before check-in`
+                    : 'late cancellation') : 'No policy configured'
+        };
+    }
+}
+
+module.exports = new CancellationPolicyService();
@@ -0,0 +1,130 @@
+const Coupon = require('../models/Coupon');
+const loyaltyService = require('./loyalty');
+
+const discountError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+class DiscountService {
+    // Apply an ad-hoc percentage or flat discount; the caller saves it with saveBooking
+    async applyDiscount(booking, { kind, value, reason, appliedBy }) {
+        if (kind === 'percent' && value > 100) {
+            throw discountError('Percentage discount cannot exceed 100');
+        }
+        await this.removeDiscount(booking, { removedBy: appliedBy });
+        booking.discount = { kind, value, reason, appliedBy, appliedAt: new Date() };
+        return booking;
+    }
+
+    // Apply a coupon, taking one of its uses, and save the booking. Re-applying the coupon
+    // already on the booking keeps its use, so it works even when the coupon is at its limit;
+    // if the save fails, the new use is given back.
+    async applyCoupon(booking, { code, appliedBy }) {
+        const current = booking.discount && booking.discount.couponCode;
+        const sameCoupon = Boolean(current) && current === String(code).trim().toUpperCase();
+
+        const coupon = sameCoupon ? await Coupon.findById(booking.discount.coupon) : await Coupon.redeem(code);
+        if (!coupon) {
+            throw discountError('Coupon is invalid, expired or fully used');
+        }
+
+        await this.removeDiscount(booking, { removedBy: appliedBy });
+        if (sameCoupon) {
+            // The use stays with the booking rather than being given back
+            booking.$locals.releasedDiscount = null;
+        }
+        booking.discount = {
+            kind: coupon.discountType,
+            value: coupon.value,
+            reason: coupon.description || `Coupon ${coupon.code}`,
+            coupon: coupon._id,
+            couponCode: coupon.code,
+            appliedBy,
+            appliedAt: new Date()
+        };
+
+        try {
+            return await this.saveBooking(booking);
+        } catch (error) {
+            if (!sameCoupon) {
+                await Coupon.release(coupon._id);
+            }
+            throw error;
+        }
+    }
+
+    // Apply a flat discount paid for with redeemed loyalty points; the caller saves it with saveBooking
+    async applyLoyaltyRedemption(booking, { redemption, appliedBy }) {
+        await this.removeDiscount(booking, { removedBy: appliedBy });
+        booking.discount = {
+            kind: 'flat',
+            value: redemption.value,
+            reason: `Loyalty points (${-redemption.points})`,
+            loyaltyRedemption: redemption._id,
+            appliedBy,
+            appliedAt: new Date()
+        };
+        return booking;
+    }
+
+    // Record the stay as complimentary: it still occupies the room but earns nothing
+    async makeComplimentary(booking, { reason, appliedBy }) {
+        await this.removeDiscount(booking, { removedBy: appliedBy });
+        booking.discount = { kind: 'complimentary', reason, appliedBy, appliedAt: new Date() };
+        return booking;
+    }
+
+    // Clear any discount. The coupon use or loyalty points it held are only given back by
+    // saveBooking, once the booking without the discount has been saved.
+    async removeDiscount(booking, { removedBy } = {}) {
+        const { coupon = null, loyaltyRedemption = null } = booking.discount || {};
+
+        // The save only goes through while the booking still holds the discount read here,
+        // so of two requests changing it at once only one saves and gives it back
+        booking.$where = { 'discount.coupon': coupon, 'discount.loyaltyRedemption': loyaltyRedemption };
+        booking.$locals.releasedDiscount = coupon || loyaltyRedemption
+            ? { coupon, loyaltyRedemption, removedBy }
+            : null;
+
+        booking.discount = {};
+        return booking;
+    }
+
+    // Save a booking whose discount was changed, then give back what the old discount held
+    async saveBooking(booking) {
+        let savedBooking;
+        try {
+            savedBooking = await booking.save();
+        } catch (error) {
+            if (error.name === 'DocumentNotFoundError') {
+                throw discountError('The discount on this booking was changed by another request; reload and try again', 409);
+            }
+            throw error;
+        }
+
+        const released = booking.$locals.releasedDiscount;
+        booking.$where = undefined;
+        booking.$locals.releasedDiscount = null;
+
+        // The booking has already been saved, so a failed give-back is logged rather than
+        // failing the request
+        try {
+            if (released && released.coupon) {
+                await Coupon.release(released.coupon);
+            }
+            if (released && released.loyaltyRedemption) {
+                await loyaltyService.reinstate({ _id: released.loyaltyRedemption }, {
+                    reason: `Discount removed from ${booking.entryNo}`,
+                    createdBy: released.removedBy
+                });
+            }
+        } catch (error) {
+            console.error(`Discount removed from booking ${booking.entryNo} could not be given back:`, error);
+        }
+        return savedBooking;
+    }
+}
+
+module.exports = new DiscountService();
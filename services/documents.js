@@ -0,0 +1,255 @@
+const PDFDocument = require('pdfkit');
+const hotelConfig = require('../config/hotel');
+const invoiceService = require('./invoices');
+const { maskAadhaar } = require('../utils/helpers');
+
+const PAGE_MARGIN = 40;
+const BRAND_COLOR = '#1f3a5f';
+const MUTED_COLOR = '#555555';
+
+// The built-in PDF fonts have no rupee glyph, so amounts are printed as "Rs."
+const money = (amount) => `Rs. ${new Intl.NumberFormat('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+}).format(amount || 0)}`;
+
+const formatDateTime = (date) => date
+    ? new Date(date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })
+    : '-';
+
+const formatDate = (date) => date
+    ? new Date(date).toLocaleDateString('en-IN', { dateStyle: 'medium' })
+    : '-';
+
+// Collect a PDFKit document into a Buffer
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+});
+
+class DocumentService {
+    // Hotel letterhead with the document title on the right
+    drawHeader(doc, title) {
+        const { business } = hotelConfig;
+        const width = doc.page.width - PAGE_MARGIN * 2;
+
+        doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(18)
+            .text(business.legalName, PAGE_MARGIN, PAGE_MARGIN, { width: width / 2 });
+        doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(9);
+        if (business.address) doc.text(business.address, { width: width / 2 });
+        if (business.gstin) doc.text(`GSTIN: ${business.gstin}`, { width: width / 2 });
+
+        doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(14)
+            .text(title, PAGE_MARGIN + width / 2, PAGE_MARGIN, { width: width / 2, align: 'right' });
+
+        const lineY = Math.max(doc.y, PAGE_MARGIN + 50) + 8;
+        doc.moveTo(PAGE_MARGIN, lineY).lineTo(PAGE_MARGIN + width, lineY)
+            .lineWidth(1).strokeColor(BRAND_COLOR).stroke();
+        doc.fillColor('black').font('Helvetica').fontSize(10);
+        doc.y = lineY + 12;
+    }
+
+    // Two columns of label/value pairs
+    drawFields(doc, left, right) {
+        const width = (doc.page.width - PAGE_MARGIN * 2) / 2;
+        const top = doc.y;
+
+        const drawColumn = (fields, x) => {
+            let y = top;
+            fields.forEach(([label, value]) => {
+                doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED_COLOR)
+                    .text(label, x, y, { width: 105 });
+                const labelBottom = doc.y;
+                doc.font('Helvetica').fillColor('black')
+                    .text(value === undefined || value === null || value === '' ? '-' : String(value), x + 110, y, { width: width - 120 });
+                y = Math.max(labelBottom, doc.y) + 3;
+            });
+            return y;
+        };
+
+        const bottom = Math.max(drawColumn(left, PAGE_MARGIN), drawColumn(right, PAGE_MARGIN + width));
+        doc.y = bottom + 10;
+    }
+
+    // Simple ruled table; columns are [{ header, width, align }]
+    drawTable(doc, columns, rows) {
+        const rowHeight = 18;
+        let y = doc.y;
+
+        const drawRow = (cells, bold) => {
+            if (y + rowHeight > doc.page.height - PAGE_MARGIN) {
+                doc.addPage();
+                y = PAGE_MARGIN;
+            }
+            let x = PAGE_MARGIN;
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('black');
+            cells.forEach((cell, index) => {
+                const column = columns[index];
+                doc.text(cell === undefined || cell === null ? '' : String(cell), x + 4, y + 5, {
+                    width: column.width - 8,
+                    align: column.align || 'left',
+                    lineBreak: false,
+                    ellipsis: true
+                });
+                x += column.width;
+            });
+            const right = PAGE_MARGIN + columns.reduce((sum, column) => sum + column.width, 0);
+            doc.moveTo(PAGE_MARGIN, y + rowHeight).lineTo(right, y + rowHeight)
+                .lineWidth(0.5).strokeColor('#cccccc').stroke();
+            y += rowHeight;
+        };
+
+        drawRow(columns.map(column => column.header), true);
+        rows.forEach(row => drawRow(row, false));
+        doc.y = y + 10;
+    }
+
+    // Label/amount rows aligned to the right edge
+    drawTotals(doc, rows) {
+        const right = doc.page.width - PAGE_MARGIN;
+        rows.forEach(([label, amount, bold]) => {
+            const y = doc.y;
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 9).fillColor('black');
+            doc.text(label, right - 300, y, { width: 180, align: 'right' });
+            doc.text(money(amount), right - 110, y, { width: 110, align: 'right' });
+            doc.moveDown(0.4);
+        });
+        doc.moveDown(0.5);
+    }
+
+    // Render the booking's tax invoice, or a proforma bill when it has not been invoiced yet
+    async renderInvoice(booking, invoice = null, creditNotes = []) {
+        const bill = invoice || invoiceService.buildDraft(booking);
+        const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: invoice ? invoice.number : `Proforma ${booking.entryNo}` } });
+
+        this.drawHeader(doc, invoice ? 'TAX INVOICE' : 'PROFORMA BILL');
+
+        this.drawFields(doc, [
+            ['Bill to', bill.recipient.name],
+            ['Mobile', bill.recipient.mobile],
+            ['Guest GSTIN', bill.recipient.gstin],
+            ['Place of supply', bill.placeOfSupply]
+        ], [
+            ['Invoice no.', invoice ? invoice.number : 'Not issued'],
+            ['Invoice date', invoice ? formatDate(invoice.issuedAt) : formatDate(new Date())],
+            ['Entry no.', booking.entryNo],
+            ['Room', booking.room]
+        ]);
+
+        this.drawFields(doc, [
+            ['Check-in', formatDateTime(bill.stay.checkIn)],
+            ['Check-out', formatDateTime(bill.stay.checkOut)]
+        ], [
+            ['Guests', booking.groupSize],
+            ['Tariff per night', money(bill.tariffPerNight)]
+        ]);
+
+        this.drawTable(doc, [
+            { header: 'Description', width: 195 },
+            { header: 'SAC', width: 50 },
+            { header: 'Qty', width: 60, align: 'right' },
+            { header: 'Rate', width: 75, align: 'right' },
+            { header: 'GST', width: 45, align: 'right' },
+            { header: 'Taxable value', width: 90, align: 'right' }
+        ], bill.lines.map(line => [
+            line.description,
+            line.sacCode,
+            line.quantity ? `${line.quantity} ${line.unit || ''}`.trim() : '',
+            line.rate ? money(line.rate) : '',
+            `${line.gstRate ?? bill.gstRate}%`,
+            money(line.taxableValue)
+        ]));
+
+        const taxRows = bill.isInterState
+            ? [['IGST', bill.igst]]
+            : [['CGST', bill.cgst], ['SGST', bill.sgst]];
+        const creditedTotal = creditNotes.reduce((sum, note) => sum + note.grandTotal, 0);
+
+        this.drawTotals(doc, [
+            ...(bill.discountAmount > 0 ? [
+                ['Gross value', bill.taxableValue + bill.discountAmount],
+                [`Less discount${bill.discountReason ? ` (${bill.discountReason})` : ''}`, -bill.discountAmount]
+            ] : []),
+            ['Taxable value', bill.taxableValue],
+            ...taxRows,
+            ['Round off', bill.roundOff],
+            ['Grand total', bill.grandTotal, true],
+            ...creditNotes.map(note => [`Less credit note ${note.number}`, -note.grandTotal]),
+            ['Paid', booking.amountPaid],
+            ['Balance due', bill.grandTotal - creditedTotal - (booking.amountPaid || 0), true]
+        ]);
+
+        doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+            .text(invoice
+                ? 'This is a computer generated invoice and does not require a signature.'
+                : 'This is not a tax invoice. A tax invoice is issued at checkout.',
+            PAGE_MARGIN, doc.y, { align: 'center' });
+
+        return toBuffer(doc);
+    }
+
+    // Render the guest registration card listing every guest on the booking
+    async renderRegistrationCard(booking) {
+        const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `Registration ${booking.entryNo}` } });
+
+        this.drawHeader(doc, 'GUEST REGISTRATION CARD');
+
+        this.drawFields(doc, [
+            ['Entry no.', booking.entryNo],
+            ['Serial no.', booking.serialNo],
+            ['Room', booking.room],
+            ['Status', booking.status]
+        ], [
+            ['Arrival', formatDateTime(booking.checkIn)],
+            ['Departure', formatDateTime(booking.checkOut)],
+            ['No. of guests', booking.groupSize],
+            ['Tariff', `${money(booking.rent)} (${booking.pricingMode})`]
+        ]);
+
+        doc.font('Helvetica-Bold').fontSize(11).fillColor(BRAND_COLOR).text('Primary guest', PAGE_MARGIN);
+        doc.moveDown(0.4);
+        this.drawFields(doc, [
+            ['Name', booking.customerName],
+            ['Mobile', booking.customerMobile]
+        ], [
+            ['Aadhaar', maskAadhaar(booking.customerAadhaar)]
+        ]);
+
+        doc.font('Helvetica-Bold').fontSize(11).fillColor(BRAND_COLOR).text('Accompanying guests', PAGE_MARGIN);
+        doc.moveDown(0.4);
+        if (booking.additionalGuests && booking.additionalGuests.length > 0) {
+            this.drawTable(doc, [
+                { header: '#', width: 30, align: 'right' },
+                { header: 'Name', width: 175 },
+                { header: 'Relationship', width: 100 },
+                { header: 'Mobile', width: 100 },
+                { header: 'Aadhaar', width: 110 }
+            ], booking.additionalGuests.map((guest, index) => [
+                index + 1,
+                guest.name,
+                guest.relationship,
+                guest.mobile,
+                maskAadhaar(guest.aadhaar)
+            ]));
+        } else {
+            doc.font('Helvetica').fontSize(9).fillColor('black').text('None', PAGE_MARGIN);
+            doc.moveDown();
+        }
+
+        doc.moveDown(3);
+        const signatureY = doc.y;
+        const width = doc.page.width - PAGE_MARGIN * 2;
+        doc.moveTo(PAGE_MARGIN, signatureY).lineTo(PAGE_MARGIN + 180, signatureY).lineWidth(0.5).strokeColor('black').stroke();
+        doc.moveTo(PAGE_MARGIN + width - 180, signatureY).lineTo(PAGE_MARGIN + width, signatureY).stroke();
+        doc.font('Helvetica').fontSize(9).fillColor('black')
+            .text('Guest signature', PAGE_MARGIN, signatureY + 4, { width: 180, align: 'center' })
+            .text('Front desk', PAGE_MARGIN + width - 180, signatureY + 4, { width: 180, align: 'center' });
+
+        return toBuffer(doc);
+    }
+}
+
+module.exports = new DocumentService();
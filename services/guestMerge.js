@@ -0,0 +1,321 @@
+const Booking = require('../models/Booking');
+const Guest = require('../models/Guest');
+const GuestMerge = require('../models/GuestMerge');
+const CustomerSummary = require('../models/CustomerSummary');
+const GuestFlag = require('../models/GuestFlag');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const { maskStoredAadhaar } = require('../utils/aadhaar');
+
+// Names at least this similar (0-1) are reported as possible duplicates on their own
+const NAME_MATCH_THRESHOLD = 0.85;
+// A shared mobile only counts when the names are at least this similar (families share phones)
+const SHARED_MOBILE_NAME_THRESHOLD = 0.6;
+// Name blocks larger than this (very common names) are not compared pairwise
+const MAX_NAME_BLOCK = 300;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const mergeError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const nameTokens = (name) => (name || '').toLowerCase().replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(Boolean);
+
+// Edit distance between two strings
+const levenshtein = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+const ratio = (a, b) => (a.length || b.length) ? 1 - levenshtein(a, b) / Math.max(a.length, b.length) : 0;
+
+// Similarity of two names from 0 to 1, ignoring case, punctuation and word order
+const nameSimilarity = (a, b) => {
+    const tokensA = nameTokens(a);
+    const tokensB = nameTokens(b);
+    return Math.max(
+        ratio(tokensA.join(' '), tokensB.join(' ')),
+        ratio([...tokensA].sort().join(' '), [...tokensB].sort().join(' '))
+    );
+};
+
+// Min/max of two optional dates
+const earlier = (a, b) => (!a ? b : !b ? a : (a < b ? a : b));
+const later = (a, b) => (!a ? b : !b ? a : (a > b ? a : b));
+
+class GuestMergeService {
+    // Pairs of profiles that may be the same person, strongest first. Profiles are
+    // only compared within blocks sharing an Aadhaar, a mobile or a name prefix.
+    async findDuplicates({ minScore = 0, limit = 100 } = {}) {
+        const guests = await Guest.find().select('name mobile aadhaar aadhaarHash createdAt').lean();
+
+        const blocks = new Map();
+        const addToBlock = (key, guest) => {
+            if (!blocks.has(key)) blocks.set(key, []);
+            blocks.get(key).push(guest);
+        };
+        guests.forEach(guest => {
+            if (guest.aadhaarHash) addToBlock(`aadhaar:${guest.aadhaarHash}`, guest);
+            if (guest.mobile) addToBlock(`mobile:${guest.mobile}`, guest);
+            const [firstToken] = nameTokens(guest.name).sort();
+            if (firstToken) addToBlock(`name:${firstToken.slice(0, 3)}`, guest);
+        });
+
+        const pairs = new Map();
+        blocks.forEach((members, key) => {
+            if (key.startsWith('name:') && members.length > MAX_NAME_BLOCK) return;
+            for (let i = 0; i < members.length; i++) {
+                for (let j = i + 1; j < members.length; j++) {
+                    const [a, b] = [members[i], members[j]].sort((x, y) => x.createdAt - y.createdAt);
+                    const pairKey = `${a._id}:${b._id}`;
+                    if (!pairs.has(pairKey)) {
+                        pairs.set(pairKey, this.comparePair(a, b));
+                    }
+                }
+            }
+        });
+
+        const candidates = [...pairs.values()]
+            .filter(candidate => candidate && candidate.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+
+        // Stays on record for each profile, to help pick the survivor
+        const ids = [...new Set(candidates.flatMap(candidate => candidate.guests.map(guest => guest._id)))];
+        const stays = await Booking.aggregate([
+            { $match: { customer: { $in: ids } } },
+            { $group: { _id: '$customer', bookings: { $sum: 1 }, lastVisit: { $max: '$checkIn' } } }
+        ]);
+        const staysById = new Map(stays.map(row => [String(row._id), row]));
+        candidates.forEach(candidate => candidate.guests.forEach(guest => {
+            const row = staysById.get(String(guest._id));
+            guest.bookings = row ? row.bookings : 0;
+            guest.lastVisit = row ? row.lastVisit : null;
+        }));
+
+        return candidates;
+    }
+
+    // Why two profiles might be the same person, or null when they are not candidates.
+    // Different Aadhaar numbers always mean different people.
+    comparePair(a, b) {
+        if (a.aadhaarHash && b.aadhaarHash && a.aadhaarHash !== b.aadhaarHash) {
+            return null;
+        }
+
+        const sameAadhaar = Boolean(a.aadhaarHash && a.aadhaarHash === b.aadhaarHash);
+        const sameMobile = Boolean(a.mobile && a.mobile === b.mobile);
+        const similarity = round2(nameSimilarity(a.name, b.name));
+
+        if (!sameAadhaar &&
+            !(sameMobile && similarity >= SHARED_MOBILE_NAME_THRESHOLD) &&
+            similarity < NAME_MATCH_THRESHOLD) {
+            return null;
+        }
+
+        const reasons = [];
+        if (sameAadhaar) reasons.push('aadhaar');
+        if (sameMobile) reasons.push('mobile');
+        if (similarity >= NAME_MATCH_THRESHOLD) reasons.push('name');
+
+        return {
+            guests: [a, b].map(guest => ({
+                _id: guest._id,
+                name: guest.name,
+                mobile: guest.mobile,
+                aadhaar: maskStoredAadhaar(guest.aadhaar)
+            })),
+            reasons,
+            nameSimilarity: similarity,
+            score: round2((sameAadhaar ? 0.5 : 0) + (sameMobile ? 0.3 : 0) + similarity * 0.2)
+        };
+    }
+
+    // Merge one profile into another: bookings, additional-guest entries, watchlist flags,
+    // loyalty points and archive summaries move to the survivor, which also takes any
+    // mobile or Aadhaar it lacks
+    async merge(survivorId, mergedId, { mergedBy, reason }) {
+        if (String(survivorId) === String(mergedId)) {
+            throw mergeError('A guest cannot be merged into itself');
+        }
+
+        const [survivor, merged] = await Promise.all([Guest.findById(survivorId), Guest.findById(mergedId)]);
+        if (!survivor || !merged) {
+            throw mergeError('Guest not found', 404);
+        }
+        if (survivor.aadhaarHash && merged.aadhaarHash && survivor.aadhaarHash !== merged.aadhaarHash) {
+            throw mergeError('These guests have different Aadhaar numbers and cannot be merged');
+        }
+
+        const [customerBookings, guestBookings, summariesBefore, flags, loyaltyTransactions] = await Promise.all([
+            Booking.find({ customer: merged._id }).select('_id').lean(),
+            Booking.find({ 'additionalGuests.guest': merged._id }).select('additionalGuests._id additionalGuests.guest').lean(),
+            CustomerSummary.find({ customerId: { $in: [survivor._id, merged._id] } }).lean(),
+            GuestFlag.find({ guest: merged._id }).select('_id').lean(),
+            LoyaltyTransaction.find({ guest: merged._id }).select('_id').lean()
+        ]);
+
+        // As stored, so the snapshots keep Aadhaar numbers encrypted
+        const stored = survivor.toObject();
+        const record = await GuestMerge.create({
+            survivor: survivor._id,
+            merged: merged.toObject(),
+            survivorBefore: { name: stored.name, mobile: stored.mobile, aadhaar: stored.aadhaar },
+            customerBookings: customerBookings.map(booking => booking._id),
+            additionalGuestEntries: guestBookings.flatMap(booking => booking.additionalGuests
+                .filter(entry => entry.guest && entry.guest.equals(merged._id))
+                .map(entry => ({ booking: booking._id, entry: entry._id }))),
+            summariesBefore,
+            flags: flags.map(flag => flag._id),
+            loyaltyTransactions: loyaltyTransactions.map(transaction => transaction._id),
+            reason,
+            mergedBy
+        });
+
+        await Booking.updateMany({ customer: merged._id }, { $set: { customer: survivor._id } });
+        await Booking.updateMany(
+            { 'additionalGuests.guest': merged._id },
+            { $set: { 'additionalGuests.$[entry].guest': survivor._id } },
+            { arrayFilters: [{ 'entry.guest': merged._id }] }
+        );
+        await GuestFlag.updateMany({ guest: merged._id }, { $set: { guest: survivor._id } });
+        await LoyaltyTransaction.updateMany({ guest: merged._id }, { $set: { guest: survivor._id } });
+        await this.foldSummaries(survivor._id, merged._id, summariesBefore);
+
+        // The merged profile goes before the survivor takes its Aadhaar (Aadhaar is unique)
+        await Guest.deleteOne({ _id: merged._id });
+        if (!survivor.mobile && merged.mobile) survivor.mobile = merged.mobile;
+        if (!survivor.aadhaar && merged.aadhaar) survivor.aadhaar = merged.aadhaar;
+        await survivor.save();
+
+        // Loyalty points are added atomically so concurrent earnings are not lost
+        const updatedSurvivor = await Guest.findByIdAndUpdate(
+            survivor._id,
+            { $inc: { loyaltyPoints: merged.loyaltyPoints || 0 } },
+            { new: true }
+        );
+
+        return { merge: record, survivor: updatedSurvivor };
+    }
+
+    // Add the merged profile's archive summary into the survivor's, or hand it over
+    async foldSummaries(survivorId, mergedId, summaries) {
+        const mergedSummary = summaries.find(summary => summary.customerId.equals(mergedId));
+        if (!mergedSummary) return;
+
+        const survivorSummary = summaries.find(summary => summary.customerId.equals(survivorId));
+        if (!survivorSummary) {
+            await CustomerSummary.updateOne({ _id: mergedSummary._id }, { $set: { customerId: survivorId } });
+            return;
+        }
+
+        await CustomerSummary.updateOne({ _id: survivorSummary._id }, {
+            $inc: {
+                totalHistoricVisits: mergedSummary.totalHistoricVisits || 0,
+                totalHistoricRevenue: mergedSummary.totalHistoricRevenue || 0
+            },
+            $set: {
+                firstVisit: earlier(survivorSummary.firstVisit, mergedSummary.firstVisit),
+                lastArchivedVisit: later(survivorSummary.lastArchivedVisit, mergedSummary.lastArchivedVisit)
+            }
+        });
+        await CustomerSummary.deleteOne({ _id: mergedSummary._id });
+    }
+
+    // Undo a merge: restore the merged profile and point its bookings and summaries back
+    async undo(mergeId, { undoneBy }) {
+        const record = await GuestMerge.findById(mergeId);
+        if (!record) {
+            throw mergeError('Merge not found', 404);
+        }
+        if (record.undoneAt) {
+            throw mergeError('This merge has already been undone');
+        }
+
+        const survivorExists = await Guest.exists({ _id: record.survivor });
+        if (!survivorExists) {
+            throw mergeError('The surviving guest has since been merged away; undo that merge first', 409);
+        }
+        const archivedSince = await CustomerSummary.exists({ customerId: record.survivor, archivedAt: { $gt: record.mergedAt } });
+        if (archivedSince) {
+            throw mergeError('Bookings have been archived since this merge, so it can no longer be undone', 409);
+        }
+
+        // Claim the undo so two requests cannot both run it
+        const claimed = await GuestMerge.updateOne(
+            { _id: record._id, undoneAt: null },
+            { $set: { undoneAt: new Date(), undoneBy } }
+        );
+        if (claimed.modifiedCount === 0) {
+            throw mergeError('This merge has already been undone');
+        }
+
+        try {
+            // The merged profile's points go back with it, unless the survivor has spent them
+            const mergedPoints = record.merged.loyaltyPoints || 0;
+            const survivor = await Guest.findOneAndUpdate(
+                { _id: record.survivor, loyaltyPoints: { $gte: mergedPoints } },
+                { $inc: { loyaltyPoints: -mergedPoints } },
+                { new: true }
+            );
+            if (!survivor) {
+                throw mergeError('Loyalty points from the merged profile have since been redeemed, so it can no longer be undone', 409);
+            }
+
+            // Give back only the details the survivor took over and still carries
+            const before = record.survivorBefore;
+            if (!before.mobile && survivor.mobile === record.merged.mobile) survivor.mobile = null;
+            if (!before.aadhaar && survivor.aadhaarHash === record.merged.aadhaarHash) survivor.aadhaar = null;
+            await survivor.save();
+
+            const restored = await Guest.create(record.merged);
+            await Booking.updateMany(
+                { _id: { $in: record.customerBookings }, customer: survivor._id },
+                { $set: { customer: restored._id } }
+            );
+            if (record.additionalGuestEntries.length > 0) {
+                await Booking.bulkWrite(record.additionalGuestEntries.map(({ booking, entry }) => ({
+                    updateOne: {
+                        filter: { _id: booking, 'additionalGuests._id': entry },
+                        update: { $set: { 'additionalGuests.$.guest': restored._id } }
+                    }
+                })));
+            }
+
+            await GuestFlag.updateMany(
+                { _id: { $in: record.flags || [] }, guest: survivor._id },
+                { $set: { guest: restored._id } }
+            );
+
+            await LoyaltyTransaction.updateMany(
+                { _id: { $in: record.loyaltyTransactions || [] }, guest: survivor._id },
+                { $set: { guest: restored._id } }
+            );
+
+            await CustomerSummary.deleteMany({ customerId: { $in: [survivor._id, restored._id] } });
+            if (record.summariesBefore.length > 0) {
+                await CustomerSummary.insertMany(record.summariesBefore);
+            }
+
+            return { merge: await GuestMerge.findById(record._id), survivor, restored };
+        } catch (error) {
+            await GuestMerge.updateOne({ _id: record._id }, { $set: { undoneAt: null }, $unset: { undoneBy: 1 } });
+            throw error;
+        }
+    }
+}
+
+module.exports = new GuestMergeService();
@@ -0,0 +1,98 @@
+const Guest = require('../models/Guest');
+const Booking = require('../models/Booking');
+const { formatAadhaar } = require('../utils/helpers');
+const { decryptAadhaar, hashAadhaar } = require('../utils/aadhaar');
+
+// Empty strings from forms mean "not given"
+const clean = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+class GuestService {
+    // Find the profile for a person, creating it on first sight. Aadhaar identifies a
+    // guest; a mobile number only matches a profile that has no Aadhaar of its own,
+    // since family members often share a phone. The latest name and mobile win.
+    async resolveGuest({ name, mobile, aadhaar }, { seenAt } = {}) {
+        mobile = clean(mobile);
+        // Bookings read without getters (lean) hand over the stored, encrypted number
+        aadhaar = clean(decryptAadhaar(aadhaar));
+        if (aadhaar) aadhaar = formatAadhaar(aadhaar);
+        if (!mobile && !aadhaar) {
+            return null;
+        }
+
+        const aadhaarHash = hashAadhaar(aadhaar);
+        let guest = aadhaarHash ? await Guest.findOne({ aadhaarHash }) : null;
+        if (!guest && mobile) {
+            guest = await Guest.findOne({ mobile, aadhaar: null }).sort({ createdAt: 1 });
+        }
+
+        if (!guest) {
+            try {
+                return await Guest.create({
+                    name,
+                    mobile,
+                    aadhaar,
+                    ...(seenAt && { createdAt: seenAt })
+                });
+            } catch (error) {
+                // Another request created the same Aadhaar profile first
+                if (error.code !== 11000) throw error;
+                guest = await Guest.findOne({ aadhaarHash });
+            }
+        }
+
+        let changed = false;
+        if (name && guest.name !== name) {
+            guest.name = name;
+            changed = true;
+        }
+        if (mobile && guest.mobile !== mobile) {
+            guest.mobile = mobile;
+            changed = true;
+        }
+        if (aadhaar && !guest.aadhaar) {
+            guest.aadhaar = aadhaar;
+            changed = true;
+        }
+        if (changed) {
+            await guest.save();
+        }
+        return guest;
+    }
+
+    // Point a booking (not yet saved) at the profiles of its primary customer and
+    // each additional guest that gave a mobile or Aadhaar
+    async linkBookingGuests(booking, options) {
+        const customer = await this.resolveGuest({
+            name: booking.customerName,
+            mobile: booking.customerMobile,
+            aadhaar: booking.customerAadhaar
+        }, options);
+        booking.customer = customer ? customer._id : null;
+
+        for (const additionalGuest of booking.additionalGuests || []) {
+            const guest = await this.resolveGuest(additionalGuest, options);
+            additionalGuest.guest = guest ? guest._id : null;
+        }
+        return booking;
+    }
+
+    // Link a booking that has been saved to its guests' profiles and store just the links,
+    // so a booking that is refused never creates or renames a profile
+    async linkSavedBooking(booking) {
+        await this.linkBookingGuests(booking);
+
+        const update = { customer: booking.customer };
+        (booking.additionalGuests || []).forEach((guest, index) => {
+            update[`additionalGuests.${index}.guest`] = guest.guest;
+        });
+        await Booking.updateOne({ _id: booking._id }, { $set: update });
+        return booking;
+    }
+
+    // Query for every booking a guest stayed on, as primary customer or additional guest
+    bookingQueryFor(guestId) {
+        return { $or: [{ customer: guestId }, { 'additionalGuests.guest': guestId }] };
+    }
+}
+
+module.exports = new GuestService();
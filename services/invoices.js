@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Invoice = require('../models/Invoice');
+const hotelConfig = require('../config/hotel');
+const { calculateDays } = require('../utils/helpers');
+
+const NUMBER_MAX_ATTEMPTS = 5;
+const UNIT_LABELS = { 'nightly': 'nights', 'hourly': 'hours', 'day-use': 'blocks' };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const invoiceError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+class InvoiceService {
+    // Indian financial year (April to March) containing the date, e.g. '2026-27'
+    financialYearOf(date) {
+        const d = new Date(date);
+        const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+        return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+    }
+
+    // GST rate (%) for a per-night tariff
+    gstRateFor(tariffPerNight) {
+        const slab = hotelConfig.gst.slabs.find(s => s.maxTariff === null || s.maxTariff === undefined || tariffPerNight <= s.maxTariff);
+        return slab ? slab.rate : 0;
+    }
+
+    // Split tax on a taxable value into CGST + SGST (intra-state) or IGST (inter-state)
+    calculateTax(taxableValue, gstRate, isInterState) {
+        if (isInterState) {
+            const igst = round2(taxableValue * gstRate / 100);
+            return { cgst: 0, sgst: 0, igst, totalTax: igst };
+        }
+        const half = round2(taxableValue * gstRate / 200);
+        return { cgst: half, sgst: half, igst: 0, totalTax: round2(half * 2) };
+    }
+
+    // Tax each line at its own rate, then add up the totals and round to the rupee
+    buildTotals(lines, isInterState) {
+        const totals = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0 };
+
+        const taxedLines = lines.map(line => {
+            const tax = this.calculateTax(line.taxableValue, line.gstRate, isInterState);
+            ['cgst', 'sgst', 'igst', 'totalTax'].forEach(key => {
+                totals[key] = round2(totals[key] + tax[key]);
+            });
+            totals.taxableValue = round2(totals.taxableValue + line.taxableValue);
+            return { ...line, taxAmount: tax.totalTax };
+        });
+
+        const exactTotal = round2(totals.taxableValue + totals.totalTax);
+        const grandTotal = Math.round(exactTotal);
+        return { lines: taxedLines, ...totals, roundOff: round2(grandTotal - exactTotal), grandTotal };
+    }
+
+    // Work out the lines, slab and tax for a booking's bill without issuing anything
+    buildDraft(booking, { recipientName, recipientGstin } = {}) {
+        const { business, gst } = hotelConfig;
+
+        // A discount on the bill is spread over every line, so tax is charged on the
+        // discounted value. The accommodation slab follows the discounted tariff per night;
+        // extras carry their own rate.
+        const grossValue = booking.grossAmount ?? booking.totalAmount ?? 0;
+        const discountRatio = grossValue > 0 ? (booking.totalAmount || 0) / grossValue : 1;
+        const stayValue = round2(booking.stayAmount());
+        const nights = Math.max(1, Math.ceil(calculateDays(booking.checkIn, booking.checkOut, booking.pricingMode)));
+        const tariffPerNight = round2(stayValue * discountRatio / nights);
+        const gstRate = this.gstRateFor(tariffPerNight);
+
+        const placeOfSupply = recipientGstin ? recipientGstin.slice(0, 2) : business.stateCode;
+        const isInterState = placeOfSupply !== business.stateCode;
+
+        const surchargeLines = (booking.surcharges || []).map(line => ({
+            description: line.type === 'early-check-in' ? 'Early check-in' : 'Late checkout',
+            sacCode: gst.sacCode,
+            quantity: line.hours,
+            unit: 'hours',
+            gstRate,
+            taxableValue: line.amount
+        }));
+        const chargeLines = booking.activeCharges().map(charge => ({
+            description: charge.description || charge.category,
+            sacCode: gst.chargeSacCodes[charge.category],
+            quantity: charge.quantity,
+            rate: charge.unitPrice,
+            gstRate: charge.taxRate,
+            taxableValue: charge.amount
+        }));
+        const lines = [
+            {
+                description: `Room ${booking.room} accommodation`,
+                sacCode: gst.sacCode,
+                quantity: booking.billableUnits,
+                unit: UNIT_LABELS[booking.pricingMode] || 'nights',
+                rate: booking.rent,
+                gstRate,
+                taxableValue: round2(stayValue - surchargeLines.reduce((sum, line) => sum + line.taxableValue, 0))
+            },
+            ...surchargeLines,
+            ...chargeLines
+        ].map(line => {
+            const discount = round2(line.taxableValue * (1 - discountRatio));
+            return { ...line, discount, taxableValue: round2(line.taxableValue - discount) };
+        });
+
+        return {
+            booking: booking._id,
+            supplier: business,
+            recipient: {
+                name: recipientName || booking.customerName,
+                mobile: booking.customerMobile,
+                gstin: recipientGstin
+            },
+            stay: {
+                entryNo: booking.entryNo,
+                room: booking.room,
+                checkIn: booking.checkIn,
+                checkOut: booking.checkOut,
+                pricingMode: booking.pricingMode,
+                nights
+            },
+            placeOfSupply,
+            isInterState,
+            discountAmount: round2(lines.reduce((sum, line) => sum + line.discount, 0)),
+            discountReason: booking.discount && booking.discount.kind ? booking.discount.reason : undefined,
+            tariffPerNight,
+            gstRate,
+            ...this.buildTotals(lines, isInterState)
+        };
+    }
+
+    // Issue the tax invoice for a checked-out booking
+    async issueInvoice(booking, { issuedBy, recipientName, recipientGstin }) {
+        if (booking.status !== 'checked-out') {
+            throw invoiceError('An invoice can only be issued after checkout');
+        }
+        if (!hotelConfig.business.gstin) {
+            throw invoiceError('Hotel GSTIN is not configured (HOTEL_GSTIN)', 500);
+        }
+
+        const draft = this.buildDraft(booking, { recipientName, recipientGstin });
+
+        // Claim the booking first so two requests cannot both issue an invoice
+        const invoiceId = new mongoose.Types.ObjectId();
+        const claimed = await Booking.updateOne({ _id: booking._id, invoice: null }, { $set: { invoice: invoiceId } });
+        if (claimed.modifiedCount === 0) {
+            throw invoiceError('An invoice has already been issued for this booking');
+        }
+
+        let invoice;
+        try {
+            invoice = await this.createWithNextNumber('invoice', { ...draft, _id: invoiceId, issuedBy });
+        } catch (error) {
+            await Booking.updateOne({ _id: booking._id, invoice: invoiceId }, { $set: { invoice: null } });
+            throw error;
+        }
+
+        booking.invoice = invoice._id;
+        booking.invoiceTotal = invoice.grandTotal;
+        const updatedBooking = await booking.save();
+
+        return { invoice, booking: updatedBooking };
+    }
+
+    // Issue a credit note against an invoice; crediting the full taxable value
+    // releases the booking so it can be corrected and invoiced again
+    async issueCreditNote(invoice, { taxableValue, reason, issuedBy }) {
+        if (invoice.documentType !== 'invoice') {
+            throw invoiceError('Credit notes can only be issued against invoices');
+        }
+
+        const previous = await Invoice.find({ against: invoice._id, documentType: 'credit-note' }).select('taxableValue grandTotal');
+        const credited = previous.reduce((sum, note) => sum + note.taxableValue, 0);
+        const remaining = round2(invoice.taxableValue - credited);
+        const amount = round2(taxableValue === undefined ? remaining : taxableValue);
+
+        if (amount <= 0 || amount > remaining) {
+            throw invoiceError(`Credit note value must be more than 0 and at most ${remaining}`);
+        }
+
+        const creditNote = await this.createWithNextNumber('credit-note', {
+            booking: invoice.booking,
+            against: invoice._id,
+            reason,
+            supplier: invoice.supplier,
+            recipient: invoice.recipient,
+            stay: invoice.stay,
+            placeOfSupply: invoice.placeOfSupply,
+            isInterState: invoice.isInterState,
+            tariffPerNight: invoice.tariffPerNight,
+            gstRate: invoice.gstRate,
+            ...this.buildTotals(this.creditLines(invoice, amount), invoice.isInterState),
+            issuedBy
+        });
+
+        const booking = await Booking.findById(invoice.booking);
+        if (booking && booking.invoice && booking.invoice.equals(invoice._id)) {
+            if (amount === remaining) {
+                booking.invoice = null;
+                booking.invoiceTotal = null;
+            } else {
+                booking.invoiceTotal = round2(booking.invoiceTotal - creditNote.grandTotal);
+            }
+            await booking.save();
+        }
+
+        return { creditNote, booking };
+    }
+
+    // Spread a credited taxable value across the invoice lines in proportion, so each
+    // part is reversed at the GST rate it was charged at
+    creditLines(invoice, amount) {
+        const ratio = amount / invoice.taxableValue;
+        const lines = invoice.lines.map(line => ({
+            description: `Credit: ${line.description}`,
+            sacCode: line.sacCode,
+            gstRate: line.gstRate ?? invoice.gstRate,
+            taxableValue: round2(line.taxableValue * ratio)
+        }));
+
+        // Put any rounding difference on the last line so the lines add up exactly
+        const drift = round2(amount - lines.reduce((sum, line) => sum + line.taxableValue, 0));
+        lines[lines.length - 1].taxableValue = round2(lines[lines.length - 1].taxableValue + drift);
+        return lines;
+    }
+
+    // Create a document with the next number in its series. Numbers are derived from
+    // the documents actually stored and protected by a unique index, so a failed
+    // insert never leaves a gap and concurrent inserts retry with the next number.
+    async createWithNextNumber(documentType, data) {
+        const issuedAt = new Date();
+        const financialYear = this.financialYearOf(issuedAt);
+        const prefix = documentType === 'invoice' ? hotelConfig.gst.invoicePrefix : hotelConfig.gst.creditNotePrefix;
+
+        for (let attempt = 0; attempt < NUMBER_MAX_ATTEMPTS; attempt++) {
+            const last = await Invoice.findOne({ documentType, financialYear })
+                .sort({ sequence: -1 })
+                .select('sequence');
+            const sequence = (last ? last.sequence : 0) + 1;
+
+            try {
+                return await Invoice.create({
+                    ...data,
+                    documentType,
+                    financialYear,
+                    sequence,
+                    // GST invoice numbers are limited to 16 characters, e.g. INV/26-27/00042
+                    number: `${prefix}/${financialYear.slice(2)}/${String(sequence).padStart(5, '0')}`,
+                    issuedAt
+                });
+            } catch (error) {
+                if (error.code !== 11000) {
+                    throw error;
+                }
+            }
+        }
+
+        throw invoiceError('Could not allocate an invoice number. Please try again.', 409);
+    }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,139 @@
+const Booking = require('../models/Booking');
+const Guest = require('../models/Guest');
+const CustomerSummary = require('../models/CustomerSummary');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const guestService = require('./guests');
+const { loyalty: loyaltyConfig } = require('../config/hotel');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const loyaltyError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Highest tier first, so the first one met is the guest's tier
+const TIERS = [...loyaltyConfig.tiers].sort((a, b) => b.minVisits - a.minVisits);
+
+class LoyaltyService {
+    // Tier for a number of completed visits, or null below the lowest tier
+    tierFor(visits) {
+        return TIERS.find(tier => visits >= tier.minVisits) || null;
+    }
+
+    // Completed stays as main customer or additional guest, plus archived visits
+    async visitCount(guestId) {
+        const [stays, summary] = await Promise.all([
+            Booking.countDocuments({ ...guestService.bookingQueryFor(guestId), status: 'checked-out' }),
+            CustomerSummary.findOne({ customerId: guestId }).select('totalHistoricVisits').lean()
+        ]);
+        return stays + (summary ? summary.totalHistoricVisits || 0 : 0);
+    }
+
+    // Balance, tier and progress towards the next tier for the desk
+    async statusFor(guest) {
+        const visits = await this.visitCount(guest._id);
+        const tier = this.tierFor(visits);
+        const nextTier = [...TIERS].reverse().find(candidate => candidate.minVisits > visits) || null;
+        const points = guest.loyaltyPoints || 0;
+
+        return {
+            points,
+            value: round2(points * loyaltyConfig.pointValue),
+            canRedeem: points >= loyaltyConfig.minRedeemPoints,
+            visits,
+            tier: tier ? tier.name : null,
+            nextTier: nextTier ? { name: nextTier.name, visitsNeeded: nextTier.minVisits - visits } : null
+        };
+    }
+
+    // Credit the main guest with points for a checked-out stay. Safe to call more
+    // than once; a stay only ever earns once.
+    async awardForStay(booking) {
+        if (booking.status !== 'checked-out' || !booking.customer) {
+            return null;
+        }
+
+        const visits = await this.visitCount(booking.customer);
+        const tier = this.tierFor(visits);
+        const multiplier = tier ? tier.earnMultiplier || 1 : 1;
+        const points = Math.floor((booking.totalAmount || 0) / 100 * loyaltyConfig.pointsPerHundred * multiplier);
+        if (points <= 0) {
+            return null;
+        }
+
+        let transaction;
+        try {
+            transaction = await LoyaltyTransaction.create({
+                guest: booking.customer,
+                type: 'earn',
+                points,
+                booking: booking._id,
+                tier: tier ? tier.name : null,
+                reason: `Stay ${booking.entryNo}`
+            });
+        } catch (error) {
+            if (error.code === 11000) return null;
+            throw error;
+        }
+
+        await Guest.updateOne({ _id: booking.customer }, { $inc: { loyaltyPoints: points } });
+        return transaction;
+    }
+
+    // Take points off a guest's balance for use on a booking
+    async redeem(guestId, points, { booking, redeemedAs, createdBy }) {
+        if (points < loyaltyConfig.minRedeemPoints) {
+            throw loyaltyError(`At least ${loyaltyConfig.minRedeemPoints} points must be redeemed at a time`);
+        }
+
+        const guest = await Guest.findOneAndUpdate(
+            { _id: guestId, loyaltyPoints: { $gte: points } },
+            { $inc: { loyaltyPoints: -points } },
+            { new: true }
+        );
+        if (!guest) {
+            throw loyaltyError('The guest does not have enough loyalty points');
+        }
+
+        const transaction = await LoyaltyTransaction.create({
+            guest: guestId,
+            type: 'redeem',
+            points: -points,
+            value: round2(points * loyaltyConfig.pointValue),
+            booking: booking._id,
+            redeemedAs,
+            reason: `Redeemed as ${redeemedAs} on ${booking.entryNo}`,
+            createdBy
+        });
+        return { transaction, guest };
+    }
+
+    // Give back the points of a redemption whose payment was voided or whose
+    // discount was removed. Returns null when they were already given back.
+    async reinstate(filter, { reason, createdBy } = {}) {
+        const redemption = await LoyaltyTransaction.findOneAndUpdate(
+            { ...filter, type: 'redeem', reinstatedAt: null },
+            { $set: { reinstatedAt: new Date() } },
+            { new: true }
+        );
+        if (!redemption) {
+            return null;
+        }
+
+        const points = -redemption.points;
+        const transaction = await LoyaltyTransaction.create({
+            guest: redemption.guest,
+            type: 'reinstate',
+            points,
+            booking: redemption.booking,
+            reason,
+            createdBy
+        });
+        await Guest.updateOne({ _id: redemption.guest }, { $inc: { loyaltyPoints: points } });
+        return transaction;
+    }
+}
+
+module.exports = new LoyaltyService();
@@ -0,0 +1,182 @@
+const Booking = require('../models/Booking');
+const DayClose = require('../models/DayClose');
+const Room = require('../models/Room');
+const paymentService = require('./payments');
+const reservationService = require('./reservations');
+const roomAvailability = require('./roomAvailability');
+const { startOfDay, formatDateKey } = require('../utils/helpers');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const auditError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const nextDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+
+class NightAuditService {
+    // Refuse a change that lands on a business date the night audit has already closed
+    async assertDateOpen(date, label = 'Date') {
+        if (!date) return;
+        const lastClosed = await DayClose.lastClosedDate();
+        if (lastClosed && new Date(date) < nextDay(lastClosed)) {
+            throw auditError(`${label} falls on ${formatDateKey(date)}, which has been closed by the night audit (closed up to ${formatDateKey(lastClosed)})`);
+        }
+    }
+
+    // Close a business day: post the night's room charges, flag overstays and store the summary.
+    // Days must be closed in order and only once the day has ended, so arrivals due later in
+    // the day are not marked no-show and the day stays open for their check-ins.
+    async closeDay(businessDate, { closedBy, notes, now = new Date() }) {
+        const dayStart = startOfDay(businessDate);
+        const dayEnd = nextDay(dayStart);
+
+        if (dayEnd > now) {
+            throw auditError(`Business date ${formatDateKey(dayStart)} has not ended yet and cannot be closed`);
+        }
+
+        const lastClosed = await DayClose.lastClosedDate();
+        if (lastClosed && dayStart <= lastClosed) {
+            throw auditError(`Business date ${formatDateKey(dayStart)} is already closed`);
+        }
+        if (lastClosed && dayStart > nextDay(lastClosed)) {
+            throw auditError(`Close ${formatDateKey(nextDay(lastClosed))} first; business days are closed in order`);
+        }
+
+        // Reservations due on this date that never arrived
+        const noShowsMarked = await reservationService.markNoShows(dayEnd);
+
+        const inHouse = await Booking.find({ status: 'checked-in', checkIn: { $lt: dayEnd } });
+
+        let roomPostings = 0;
+        const overstays = [];
+        for (const booking of inHouse) {
+            if (booking.pricingMode === 'nightly') {
+                roomPostings += await this.postRoomCharge(booking, dayStart);
+            }
+
+            if (booking.checkOut && booking.checkOut < dayEnd) {
+                overstays.push({
+                    booking: booking._id,
+                    entryNo: booking.entryNo,
+                    room: booking.room,
+                    customerName: booking.customerName,
+                    checkOut: booking.checkOut
+                });
+            }
+        }
+        if (overstays.length > 0) {
+            await Booking.updateMany(
+                { _id: { $in: overstays.map(stay => stay.booking) }, overstayFlaggedAt: null },
+                { $set: { overstayFlaggedAt: now } }
+            );
+        }
+
+        const summary = await this.summarize(dayStart, dayEnd, inHouse);
+
+        try {
+            return await DayClose.create({
+                businessDate: dayStart,
+                ...summary,
+                noShowsMarked,
+                roomPostings,
+                overstays,
+                notes,
+                closedBy,
+                closedAt: now
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                throw auditError(`Business date ${formatDateKey(dayStart)} is already closed`, 409);
+            }
+            throw error;
+        }
+    }
+
+    // Business dates whose stored summaries carry arrival revenue, as a [start, end) range, or
+    // null when there are none. Days closed before those figures were stored are left out.
+    async closedPeriod() {
+        const match = { arrivalRevenue: { $exists: true } };
+        const [first, last] = await Promise.all([
+            DayClose.findOne(match).sort({ businessDate: 1 }).select('businessDate').lean(),
+            DayClose.findOne(match).sort({ businessDate: -1 }).select('businessDate').lean()
+        ]);
+        if (!first) return null;
+        return { start: first.businessDate, end: nextDay(last.businessDate) };
+    }
+
+    // Post one night's room charge to a booking; a night is only ever posted once
+    async postRoomCharge(booking, night) {
+        const rate = booking.nightRateFor(night);
+        const gross = booking.grossAmount || booking.totalAmount || 0;
+        const discountRatio = gross > 0 ? (booking.totalAmount || 0) / gross : 1;
+
+        const result = await Booking.updateOne(
+            { _id: booking._id, 'roomPostings.date': { $ne: night } },
+            { $push: { roomPostings: { date: night, rate, amount: round2(rate * discountRatio) } } }
+        );
+        return result.modifiedCount;
+    }
+
+    // Occupancy, revenue, collections and outstanding balances for the day
+    async summarize(dayStart, dayEnd, inHouse) {
+        const [roomsAvailable, arrivals, departures, postings, collections, outstanding, cancellations] = await Promise.all([
+            Room.countDocuments({ isActive: true }),
+            // Stays that arrived on the day, with what they were billed
+            Booking.aggregate([
+                { $match: { status: { $in: ['checked-in', 'checked-out'] }, checkIn: { $gte: dayStart, $lt: dayEnd } } },
+                {
+                    $group: {
+                        _id: null,
+                        count: { $sum: 1 },
+                        revenue: { $sum: '$totalAmount' },
+                        discounts: { $sum: { $ifNull: ['$discount.amount', 0] } },
+                        complimentary: { $sum: { $cond: [{ $eq: ['$discount.kind', 'complimentary'] }, 1, 0] } }
+                    }
+                }
+            ]),
+            Booking.countDocuments({ status: 'checked-out', checkOut: { $gte: dayStart, $lt: dayEnd } }),
+            Booking.aggregate([
+                { $match: { 'roomPostings.date': dayStart } },
+                { $unwind: '$roomPostings' },
+                { $match: { 'roomPostings.date': dayStart } },
+                { $group: { _id: null, amount: { $sum: '$roomPostings.amount' } } }
+            ]),
+            paymentService.collectionsSummary({ receivedAt: { $gte: dayStart, $lt: dayEnd } }),
+            Booking.aggregate([
+                { $match: { status: { $in: ['checked-in', 'checked-out', 'cancelled'] }, balanceDue: { $gt: 0 } } },
+                { $group: { _id: null, amount: { $sum: '$balanceDue' } } }
+            ]),
+            Booking.aggregate([
+                { $match: { status: 'cancelled', 'cancellation.cancelledAt': { $gte: dayStart, $lt: dayEnd } } },
+                { $group: { _id: null, fees: { $sum: { $ifNull: ['$cancellation.fee', 0] } } } }
+            ])
+        ]);
+
+        const occupiedRooms = new Set(inHouse
+            .filter(booking => roomAvailability.isAssignedRoom(booking.room))
+            .map(booking => booking.room));
+        const roomsOccupied = occupiedRooms.size;
+
+        return {
+            roomsAvailable,
+            roomsOccupied,
+            occupancyPercent: roomsAvailable > 0 ? round2(roomsOccupied / roomsAvailable * 100) : 0,
+            inHouse: inHouse.length,
+            complimentaryStays: inHouse.filter(booking => booking.isComplimentary()).length,
+            arrivals: arrivals[0]?.count || 0,
+            arrivalRevenue: round2(arrivals[0]?.revenue || 0),
+            arrivalDiscounts: round2(arrivals[0]?.discounts || 0),
+            complimentaryArrivals: arrivals[0]?.complimentary || 0,
+            departures,
+            roomRevenue: round2(postings[0]?.amount || 0),
+            cancellationFees: round2(cancellations[0]?.fees || 0),
+            collections,
+            outstanding: round2(outstanding[0]?.amount || 0)
+        };
+    }
+}
+
+module.exports = new NightAuditService();
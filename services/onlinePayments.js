@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const GatewayOrder = require('../models/GatewayOrder');
+const WebhookEvent = require('../models/WebhookEvent');
+const paymentService = require('./payments');
+const reservationService = require('./reservations');
+const { getGateway } = require('./paymentGateways');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const onlinePaymentError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+class OnlinePaymentService {
+    // Create a gateway order for a booking's balance (or part of it)
+    async createOrder(booking, { amount, createdBy }) {
+        if (['cancelled', 'no-show'].includes(booking.status)) {
+            throw onlinePaymentError(`Cannot take an online payment on a ${booking.status} booking`);
+        }
+
+        const balance = round2(booking.amountDue() - (booking.amountPaid || 0));
+        const orderAmount = round2(amount === undefined ? balance : amount);
+        if (orderAmount <= 0 || orderAmount > balance) {
+            throw onlinePaymentError(balance > 0
+                ? `Order amount must be more than 0 and at most the balance due (${balance})`
+                : 'Nothing is due on this booking');
+        }
+
+        const gateway = getGateway();
+        const created = await gateway.createOrder({
+            amount: orderAmount,
+            receipt: booking.entryNo,
+            notes: { booking: String(booking._id), entryNo: booking.entryNo }
+        });
+
+        const order = await GatewayOrder.create({
+            booking: booking._id,
+            provider: gateway.name,
+            orderId: created.orderId,
+            amount: created.amount,
+            currency: created.currency,
+            createdBy
+        });
+
+        // What the front end needs to open the gateway's checkout
+        return {
+            order,
+            checkout: {
+                provider: gateway.name,
+                keyId: gateway.keyId,
+                orderId: order.orderId,
+                amount: order.amount,
+                currency: order.currency
+            }
+        };
+    }
+
+    // Verify and apply a webhook delivery. Each delivery is applied at most once;
+    // repeats (same event id) are acknowledged without doing anything.
+    async handleWebhook(rawBody, headers) {
+        const gateway = getGateway();
+
+        if (!gateway.verifyWebhookSignature(rawBody, headers[gateway.signatureHeader])) {
+            throw onlinePaymentError('Invalid webhook signature', 401);
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(rawBody.toString('utf8'));
+        } catch (error) {
+            throw onlinePaymentError('Webhook body is not valid JSON');
+        }
+
+        const event = gateway.parseWebhook(headers, payload);
+        const eventId = event.eventId || crypto.createHash('sha256').update(rawBody).digest('hex');
+
+        let record;
+        try {
+            record = await WebhookEvent.create({ provider: gateway.name, eventId, event: event.event });
+        } catch (error) {
+            if (error.code === 11000) {
+                return { outcome: 'duplicate-delivery' };
+            }
+            throw error;
+        }
+
+        try {
+            const outcome = await this.applyEvent(gateway.name, event);
+            record.outcome = outcome;
+            await record.save();
+            return { outcome };
+        } catch (error) {
+            // Let the gateway's retry process the delivery again
+            await WebhookEvent.deleteOne({ _id: record._id });
+            throw error;
+        }
+    }
+
+    // Update the order and, for a completed payment, record it in the ledger
+    async applyEvent(provider, event) {
+        if (event.kind === 'ignored') {
+            return 'ignored';
+        }
+
+        const order = await GatewayOrder.findOne({ provider, orderId: event.orderId });
+        if (!order) {
+            return 'unknown-order';
+        }
+
+        if (event.kind === 'failed') {
+            if (order.status === 'created') {
+                order.status = 'failed';
+                order.failureReason = event.error;
+                await order.save();
+            }
+            return 'failed';
+        }
+
+        if (order.status === 'paid') {
+            return 'already-paid';
+        }
+
+        // Only credit a payment for exactly what the order asked for
+        if (event.amount === undefined || round2(event.amount) !== round2(order.amount) ||
+            event.currency !== order.currency) {
+            console.error(`Gateway payment ${event.paymentId} for ${provider} order ${order.orderId} ` +
+                `is ${event.amount} ${event.currency}, expected ${order.amount} ${order.currency}; not recorded`);
+            if (order.status === 'created') {
+                order.failureReason = `Paid ${event.amount} ${event.currency} against an order for ${order.amount} ${order.currency}`;
+                await order.save();
+            }
+            return 'amount-mismatch';
+        }
+
+        const booking = await Booking.findById(order.booking);
+        if (!booking) {
+            return 'unknown-booking';
+        }
+
+        // Money paid before arrival is an advance deposit
+        const type = reservationService.pendingArrivalStatuses.includes(booking.status) ? 'deposit' : 'payment';
+
+        let payment;
+        try {
+            ({ payment } = await paymentService.recordPayment(booking, {
+                type,
+                amount: order.amount,
+                mode: event.mode,
+                reference: event.paymentId,
+                notes: `Online payment for ${provider} order ${order.orderId}`,
+                reason: type === 'deposit' ? 'Online advance payment' : undefined,
+                receivedBy: order.createdBy,
+                gatewayPaymentId: event.paymentId
+            }));
+        } catch (error) {
+            // Recorded by an earlier delivery that failed before the order was updated
+            if (error.code !== 11000) throw error;
+            payment = await Payment.findOne({ gatewayPaymentId: event.paymentId });
+        }
+
+        order.status = 'paid';
+        order.gatewayPaymentId = event.paymentId;
+        order.payment = payment._id;
+        order.paidAt = new Date();
+        await order.save();
+
+        return 'paid';
+    }
+}
+
+module.exports = new OnlinePaymentService();
@@ -0,0 +1,33 @@
+const hotelConfig = require('../../config/hotel');
+const RazorpayGateway = require('./razorpay');
+
+// Every gateway adapter implements:
+//   name                                           provider name stored on orders
+//   signatureHeader                                request header carrying the webhook signature
+//   createOrder({ amount, receipt, notes })        -> { orderId, amount, currency, status }
+//   verifyWebhookSignature(rawBody, signature)     -> boolean
+//   parseWebhook(headers, payload)                 -> { eventId, event, kind (paid/failed/ignored),
+//                                                       orderId, paymentId, amount, currency, mode, error }
+const ADAPTERS = {
+    'razorpay': RazorpayGateway
+};
+
+let gateway = null;
+
+// The configured gateway adapter, created on first use
+const getGateway = () => {
+    if (gateway) return gateway;
+
+    const { provider, ...settings } = hotelConfig.paymentGateway;
+    const Adapter = ADAPTERS[provider];
+    if (!Adapter || !settings.keyId || !settings.keySecret) {
+        const error = new Error('Online payments are not configured (PAYMENT_GATEWAY_KEY_ID/PAYMENT_GATEWAY_KEY_SECRET)');
+        error.statusCode = 500;
+        throw error;
+    }
+
+    gateway = new Adapter(settings);
+    return gateway;
+};
+
+module.exports = { getGateway };
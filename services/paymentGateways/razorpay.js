@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+// Razorpay payment methods mapped to ledger payment modes
+const METHOD_MODES = {
+    'upi': 'upi',
+    'card': 'card',
+    'netbanking': 'bank'
+};
+
+const gatewayError = (message, statusCode = 502) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Razorpay adapter. Amounts are in rupees on our side and in paise on Razorpay's.
+class RazorpayGateway {
+    constructor({ apiUrl, keyId, keySecret, webhookSecret, currency }) {
+        this.name = 'razorpay';
+        this.signatureHeader = 'x-razorpay-signature';
+        this.apiUrl = apiUrl.replace(/\/$/, '');
+        this.keyId = keyId;
+        this.keySecret = keySecret;
+        this.webhookSecret = webhookSecret;
+        this.currency = currency;
+    }
+
+    // Create an order the guest pays against at checkout
+    async createOrder({ amount, receipt, notes }) {
+        let response;
+        try {
+            response = await fetch(`${this.apiUrl}/orders`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Basic ${Buffer.from(`${this.keyId}:${this.keySecret}`).toString('base64')}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    amount: Math.round(amount * 100),
+                    currency: this.currency,
+                    receipt,
+                    notes
+                })
+            });
+        } catch (error) {
+            throw gatewayError(`Payment gateway is unreachable: ${error.message}`);
+        }
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw gatewayError(`Payment gateway rejected the order: ${body.error?.description || response.status}`);
+        }
+
+        return {
+            orderId: body.id,
+            amount: body.amount / 100,
+            currency: body.currency,
+            status: body.status
+        };
+    }
+
+    // Webhook bodies are signed with HMAC-SHA256 of the raw body using the webhook secret
+    verifyWebhookSignature(rawBody, signature) {
+        if (!signature || !this.webhookSecret) return false;
+
+        const expected = crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+        const received = Buffer.from(String(signature), 'utf8');
+        return received.length === expected.length &&
+            crypto.timingSafeEqual(received, Buffer.from(expected, 'utf8'));
+    }
+
+    // Normalise a webhook delivery. Razorpay sends a unique event id in a header;
+    // payment.captured and order.paid both report a completed payment.
+    parseWebhook(headers, payload) {
+        const payment = payload.payload?.payment?.entity || {};
+        const kind = {
+            'payment.captured': 'paid',
+            'order.paid': 'paid',
+            'payment.failed': 'failed'
+        }[payload.event] || 'ignored';
+
+        return {
+            eventId: headers['x-razorpay-event-id'],
+            event: payload.event,
+            kind,
+            orderId: payment.order_id || payload.payload?.order?.entity?.id,
+            paymentId: payment.id,
+            amount: payment.amount !== undefined ? payment.amount / 100 : undefined,
+            currency: payment.currency,
+            mode: METHOD_MODES[payment.method] || 'online',
+            error: payment.error_description
+        };
+    }
+}
+
+module.exports = RazorpayGateway;
@@ -0,0 +1,164 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const loyaltyService = require('./loyalty');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const paymentError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+class PaymentService {
+    // Record a ledger entry (payment or deposit) and roll it into the booking's amountPaid
+    async recordPayment(booking, { type = 'payment', ...details }) {
+        const payment = await Payment.create(this.buildEntry(booking, { ...details, type }));
+
+        const updatedBooking = await this.adjustAmountPaid(booking._id, payment.signedAmount());
+        return { payment, booking: updatedBooking };
+    }
+
+    // Refund money to the guest. The booking is claimed first with one conditional update, so
+    // concurrent refunds can never take out more than was collected, nor take the booking's
+    // refunds past the approval threshold unless the user can approve them.
+    async recordRefund(booking, { approvalThreshold, canApprove, ...details }) {
+        const { amount } = details;
+        const filter = { _id: booking._id, amountPaid: { $gte: amount } };
+        if (!canApprove) {
+            filter.$expr = { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] }, approvalThreshold] };
+        }
+
+        const claimedBooking = await Booking.findOneAndUpdate(
+            filter,
+            [
+                {
+                    $set: {
+                        amountPaid: { $subtract: ['$amountPaid', amount] },
+                        refundedAmount: { $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] }
+                    }
+                },
+                ...Booking.PAYMENT_STATUS_STAGES
+            ],
+            { new: true }
+        );
+
+        if (!claimedBooking) {
+            const current = await Booking.findById(booking._id).select('amountPaid');
+            const collected = current ? current.amountPaid || 0 : 0;
+            if (amount > collected) {
+                throw paymentError(`Refund cannot exceed the amount collected (${collected})`);
+            }
+            throw paymentError(`Refunds on this booking would exceed ${approvalThreshold}; a manager or admin must approve this refund`, 403);
+        }
+
+        try {
+            const payment = await Payment.create(this.buildEntry(booking, {
+                ...details,
+                type: 'refund',
+                approvalRequired: claimedBooking.refundedAmount > approvalThreshold
+            }));
+            return { payment, booking: claimedBooking };
+        } catch (error) {
+            // The refund was not recorded, so the booking gets its amounts back
+            await this.adjustAmountPaid(booking._id, amount, -amount);
+            throw error;
+        }
+    }
+
+    // Ledger entry fields for a booking
+    buildEntry(booking, { type, amount, mode, reference, notes, reason, approvedBy, approvalRequired, receivedBy, receivedAt, shift, gatewayPaymentId }) {
+        return {
+            booking: booking._id,
+            type,
+            amount,
+            mode,
+            reference,
+            notes,
+            reason,
+            approvedBy,
+            approvalRequired,
+            receivedBy,
+            receivedAt: receivedAt || new Date(),
+            shift: shift ? shift._id : null,
+            gatewayPaymentId
+        };
+    }
+
+    // Total of the booking's refunds that have not been voided
+    async refundedAmount(bookingId) {
+        const refunds = await Payment.find({ booking: bookingId, type: 'refund', voided: false }).select('amount');
+        return round2(refunds.reduce((sum, refund) => sum + refund.amount, 0));
+    }
+
+    // Void a ledger entry and reverse its effect on the booking's amountPaid. The void is
+    // claimed atomically, so of two requests voiding the same entry only one reverses it;
+    // returns null when the entry was already voided.
+    async voidPayment(paymentId, { voidedBy, reason }) {
+        const payment = await Payment.findOneAndUpdate(
+            { _id: paymentId, voided: false },
+            { $set: { voided: true, voidReason: reason, voidedBy, voidedAt: new Date() } },
+            { new: true }
+        );
+        if (!payment) {
+            return null;
+        }
+
+        // Points spent on a voided loyalty payment go back to the guest
+        if (payment.mode === 'loyalty') {
+            await loyaltyService.reinstate({ payment: payment._id }, { reason: `Payment voided: ${reason}`, createdBy: voidedBy });
+        }
+
+        const updatedBooking = await this.adjustAmountPaid(
+            payment.booking,
+            -payment.signedAmount(),
+            payment.type === 'refund' ? -payment.amount : 0
+        );
+        return { payment, booking: updatedBooking };
+    }
+
+    // Money collected and refunded across the matching (non-voided) entries, by mode
+    async collectionsSummary(match) {
+        const rows = await Payment.aggregate([
+            { $match: { ...match, voided: false } },
+            {
+                $group: {
+                    _id: '$mode',
+                    amount: { $sum: Payment.SIGNED_AMOUNT_EXPR },
+                    collected: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, 0, '$amount'] } },
+                    refunds: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, '$amount', 0] } },
+                    count: { $sum: 1 }
+                }
+            },
+            { $sort: { _id: 1 } }
+        ]);
+
+        return {
+            byMode: rows.map(row => ({ mode: row._id, amount: round2(row.amount), count: row.count })),
+            collected: round2(rows.reduce((sum, row) => sum + row.collected, 0)),
+            refunds: round2(rows.reduce((sum, row) => sum + row.refunds, 0)),
+            net: round2(rows.reduce((sum, row) => sum + row.amount, 0))
+        };
+    }
+
+    // Move amountPaid (and refundedAmount) and re-derive balanceDue and paymentStatus in one
+    // atomic update, so concurrent ledger entries never save derived fields computed from a
+    // stale amountPaid
+    async adjustAmountPaid(bookingId, delta, refundDelta = 0) {
+        return Booking.findByIdAndUpdate(
+            bookingId,
+            [
+                {
+                    $set: {
+                        amountPaid: { $add: [{ $ifNull: ['$amountPaid', 0] }, delta] },
+                        refundedAmount: { $add: [{ $ifNull: ['$refundedAmount', 0] }, refundDelta] }
+                    }
+                },
+                ...Booking.PAYMENT_STATUS_STAGES
+            ],
+            { new: true }
+        );
+    }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+
+// Reservation statuses that are waiting for the guest to arrive
+const PENDING_ARRIVAL_STATUSES = ['reserved', 'confirmed'];
+
+class ReservationService {
+    get pendingArrivalStatuses() {
+        return PENDING_ARRIVAL_STATUSES;
+    }
+
+    // Mark reservations whose arrival date has passed without a check-in as no-show. A no-show
+    // owes nothing, so balanceDue and paymentStatus are re-derived in the same update (the
+    // pre-save hook does not run for updateMany).
+    async markNoShows(now = new Date()) {
+        const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+        let marked = 0;
+        for (const status of PENDING_ARRIVAL_STATUSES) {
+            const historyEntry = {
+                _id: new mongoose.Types.ObjectId(),
+                from: status,
+                to: 'no-show',
+                changedAt: now,
+                reason: 'Arrival date passed without check-in'
+            };
+            const result = await Booking.updateMany(
+                { status, checkIn: { $lt: startOfToday } },
+                [
+                    {
+                        $set: {
+                            status: 'no-show',
+                            statusHistory: { $concatArrays: [{ $ifNull: ['$statusHistory', []] }, [{ $literal: historyEntry }]] }
+                        }
+                    },
+                    ...Booking.PAYMENT_STATUS_STAGES
+                ]
+            );
+            marked += result.modifiedCount;
+        }
+
+        return marked;
+    }
+}
+
+module.exports = new ReservationService();
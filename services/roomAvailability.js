@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const RoomLock = require('../models/RoomLock');
+const { formatDateKey } = require('../utils/helpers');
+
+// Booking statuses that hold a room for their checkIn/checkOut range
+const OCCUPYING_STATUSES = ['reserved', 'confirmed', 'checked-in'];
+
+const LOCK_TTL_MS = 10 * 1000;
+const LOCK_RETRY_DELAY_MS = 100;
+const LOCK_MAX_ATTEMPTS = 30;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class RoomAvailabilityService {
+    get occupyingStatuses() {
+        return OCCUPYING_STATUSES;
+    }
+
+    // Whether a room number refers to an actual room (unassigned bookings use 'TBD')
+    isAssignedRoom(roomNumber) {
+        return Boolean(roomNumber) && roomNumber !== 'TBD';
+    }
+
+    // Match bookings whose stay overlaps [from, to); a null bound is open-ended
+    buildOverlapQuery(from, to) {
+        const query = {
+            $or: [
+                { checkOut: null },
+                { checkOut: { $gt: from } }
+            ]
+        };
+        if (to) {
+            query.checkIn = { $lt: to };
+        }
+        return query;
+    }
+
+    // Find an occupying booking, or a room block, that clashes with the given stay.
+    // A clashing block comes back as { room, block }.
+    async findConflict({ room, checkIn, checkOut, excludeId }) {
+        if (!this.isAssignedRoom(room) || !checkIn) {
+            return null;
+        }
+
+        const from = new Date(checkIn);
+        const to = checkOut ? new Date(checkOut) : null;
+
+        const query = {
+            room,
+            status: { $in: OCCUPYING_STATUSES },
+            ...this.buildOverlapQuery(from, to)
+        };
+        if (excludeId) {
+            query._id = { $ne: excludeId };
+        }
+
+        const booking = await Booking.findOne(query)
+            .select('entryNo serialNo customerName room checkIn checkOut status')
+            .sort({ checkIn: 1 });
+        if (booking) {
+            return booking;
+        }
+
+        // Blocks cover [from, to); an open-ended stay clashes with any block after it starts
+        const blockOverlap = { to: { $gt: from }, ...(to && { from: { $lt: to } }) };
+        const blockedRoom = await Room.findOne({ roomNumber: room, blocks: { $elemMatch: blockOverlap } })
+            .select('roomNumber blocks');
+        if (!blockedRoom) {
+            return null;
+        }
+        const block = blockedRoom.blocks
+            .filter(b => b.to > from && (!to || b.from < to))
+            .sort((a, b) => a.from - b.from)[0];
+        return { room, block: { _id: block._id, from: block.from, to: block.to, reason: block.reason } };
+    }
+
+    // Build a rooms x dates grid of free/occupied/blocked cells for [from, to]
+    async getAvailabilityGrid(from, to) {
+        const days = [];
+        for (let day = new Date(from); day <= to; day.setDate(day.getDate() + 1)) {
+            const start = new Date(day);
+            const end = new Date(day);
+            end.setDate(end.getDate() + 1);
+            days.push({ key: formatDateKey(start), start, end });
+        }
+        const rangeEnd = days[days.length - 1].end;
+
+        const rooms = await Room.find({ isActive: true })
+            .select('roomNumber type floor capacity baseTariff blocks')
+            .sort({ floor: 1, roomNumber: 1 })
+            .lean();
+
+        // One query for every booking touching the range, grouped by room in memory
+        const bookings = await Booking.find({
+            room: { $in: rooms.map(room => room.roomNumber) },
+            status: { $in: OCCUPYING_STATUSES },
+            ...this.buildOverlapQuery(from, rangeEnd)
+        })
+            .select('entryNo customerName room checkIn checkOut status')
+            .sort({ checkIn: 1 })
+            .lean();
+
+        const bookingsByRoom = {};
+        bookings.forEach(booking => {
+            (bookingsByRoom[booking.room] = bookingsByRoom[booking.room] || []).push(booking);
+        });
+
+        const overlaps = (start, end, dayStart, dayEnd) =>
+            start < dayEnd && (!end || end > dayStart);
+
+        const grid = rooms.map(room => {
+            const roomBookings = bookingsByRoom[room.roomNumber] || [];
+            const blocks = room.blocks || [];
+
+            const cells = days.map(day => {
+                const dayBookings = roomBookings.filter(booking =>
+                    overlaps(booking.checkIn, booking.checkOut, day.start, day.end));
+
+                if (dayBookings.length > 0) {
+                    return {
+                        date: day.key,
+                        status: 'occupied',
+                        bookings: dayBookings.map(booking => ({
+                            bookingId: booking._id,
+                            entryNo: booking.entryNo,
+                            guestName: booking.customerName,
+                            status: booking.status
+                        }))
+                    };
+                }
+
+                const block = blocks.find(b => overlaps(b.from, b.to, day.start, day.end));
+                if (block) {
+                    return { date: day.key, status: 'blocked', blockId: block._id, reason: block.reason };
+                }
+
+                return { date: day.key, status: 'free' };
+            });
+
+            return {
+                roomId: room._id,
+                roomNumber: room.roomNumber,
+                type: room.type,
+                floor: room.floor,
+                capacity: room.capacity,
+                baseTariff: room.baseTariff,
+                cells
+            };
+        });
+
+        return { dates: days.map(day => day.key), rooms: grid };
+    }
+
+    // Run fn while holding an exclusive lock on the room number, so that concurrent
+    // saves for the same room are checked and written one at a time
+    async withRoomLock(roomNumber, fn) {
+        roomNumber = roomNumber || 'TBD';
+        const lockToken = crypto.randomBytes(12).toString('hex');
+
+        for (let attempt = 0; attempt < LOCK_MAX_ATTEMPTS; attempt++) {
+            const now = new Date();
+            let locked = false;
+
+            try {
+                // Creates the lock, or takes over an expired one; a live lock makes
+                // the upsert collide with the unique room number
+                await RoomLock.findOneAndUpdate(
+                    { roomNumber, lockedUntil: { $lte: now } },
+                    { $set: { lockToken, lockedUntil: new Date(now.getTime() + LOCK_TTL_MS) } },
+                    { upsert: true }
+                );
+                locked = true;
+            } catch (error) {
+                if (error.code !== 11000) {
+                    throw error;
+                }
+            }
+
+            if (locked) {
+                try {
+                    return await fn();
+                } finally {
+                    await RoomLock.deleteOne({ roomNumber, lockToken });
+                }
+            }
+
+            await sleep(LOCK_RETRY_DELAY_MS);
+        }
+
+        const error = new Error(`Room ${roomNumber} is being updated by another user. Please try again.`);
+        error.statusCode = 409;
+        throw error;
+    }
+}
+
+module.exports = new RoomAvailabilityService();
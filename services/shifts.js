@@ -0,0 +1,125 @@
+const Shift = require('../models/Shift');
+const paymentService = require('./payments');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const shiftError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+class ShiftService {
+    // Open a cashier shift for a user with an opening cash float
+    async openShift(user, { openingFloat, notes }) {
+        const existing = await this.currentShift(user._id);
+        if (existing) {
+            throw shiftError('You already have a shift open. Close it before opening another.');
+        }
+
+        try {
+            return await Shift.create({
+                user: user._id,
+                openingFloat,
+                openingNotes: notes
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                throw shiftError('You already have a shift open. Close it before opening another.', 409);
+            }
+            throw error;
+        }
+    }
+
+    // The user's open shift, or null
+    currentShift(userId) {
+        return Shift.findOne({ user: userId, status: 'open' });
+    }
+
+    // Shift that money taken by this user goes through. Front-desk staff must have
+    // one open; managers and admins may take money outside a shift.
+    async shiftForCollection(user) {
+        const shift = await this.currentShift(user._id);
+        if (!shift && user.role === 'staff') {
+            throw shiftError('Open a cashier shift before taking or refunding money');
+        }
+        return shift;
+    }
+
+    // Collections so far and the cash that should be in the drawer
+    async summarize(shift) {
+        const collections = await paymentService.collectionsSummary({ shift: shift._id });
+        const cash = collections.byMode.find(row => row.mode === 'cash');
+        return {
+            collections,
+            expectedCash: round2(shift.openingFloat + (cash ? cash.amount : 0))
+        };
+    }
+
+    // Close a shift against the cash counted in the drawer
+    async closeShift(shift, { countedCash, notes, closedBy }) {
+        if (shift.status !== 'open') {
+            throw shiftError('Shift is already closed');
+        }
+
+        const { collections, expectedCash } = await this.summarize(shift);
+        const closed = await Shift.findOneAndUpdate(
+            { _id: shift._id, status: 'open' },
+            {
+                $set: {
+                    status: 'closed',
+                    collections,
+                    expectedCash,
+                    countedCash,
+                    variance: round2(countedCash - expectedCash),
+                    closingNotes: notes,
+                    closedBy,
+                    closedAt: new Date()
+                }
+            },
+            { new: true }
+        );
+        if (!closed) {
+            throw shiftError('Shift is already closed');
+        }
+        return closed;
+    }
+
+    // Variance totals per user over closed shifts
+    async varianceByUser(match) {
+        return Shift.aggregate([
+            { $match: { ...match, status: 'closed' } },
+            {
+                $group: {
+                    _id: '$user',
+                    shifts: { $sum: 1 },
+                    expectedCash: { $sum: '$expectedCash' },
+                    countedCash: { $sum: '$countedCash' },
+                    variance: { $sum: '$variance' },
+                    shortages: { $sum: { $min: ['$variance', 0] } },
+                    overages: { $sum: { $max: ['$variance', 0] } },
+                    shiftsWithVariance: { $sum: { $cond: [{ $ne: ['$variance', 0] }, 1, 0] } }
+                }
+            },
+            { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+            { $unwind: '$user' },
+            {
+                $project: {
+                    _id: 0,
+                    user: { _id: '$user._id', username: '$user.username', role: '$user.role' },
+                    shifts: 1,
+                    shiftsWithVariance: 1,
+                    expectedCash: { $round: ['$expectedCash', 2] },
+                    countedCash: { $round: ['$countedCash', 2] },
+                    variance: { $round: ['$variance', 2] },
+                    shortages: { $round: ['$shortages', 2] },
+                    overages: { $round: ['$overages', 2] }
+                }
+            },
+            // Largest shortages first
+            { $sort: { variance: 1 } }
+        ]);
+    }
+}
+
+module.exports = new ShiftService();
@@ -0,0 +1,63 @@
+const GuestFlag = require('../models/GuestFlag');
+const { hashAadhaar } = require('../utils/aadhaar');
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// Empty strings from forms mean "not given"
+const clean = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+class WatchlistService {
+    // Active flags matching any of the given people by mobile or Aadhaar, each
+    // annotated with who it matched and on what, most severe first
+    async screen(people) {
+        const identities = people
+            .map(person => ({
+                name: person.name || null,
+                mobile: clean(person.mobile),
+                aadhaarHash: hashAadhaar(clean(person.aadhaar))
+            }))
+            .filter(person => person.mobile || person.aadhaarHash);
+
+        const mobiles = [...new Set(identities.map(person => person.mobile).filter(Boolean))];
+        const aadhaarHashes = [...new Set(identities.map(person => person.aadhaarHash).filter(Boolean))];
+        if (mobiles.length === 0 && aadhaarHashes.length === 0) {
+            return { matches: [], blocked: false };
+        }
+
+        const conditions = [];
+        if (mobiles.length > 0) conditions.push({ mobile: { $in: mobiles } });
+        if (aadhaarHashes.length > 0) conditions.push({ aadhaarHash: { $in: aadhaarHashes } });
+        const flags = await GuestFlag.find({ isActive: true, $or: conditions }).lean();
+
+        const matches = [];
+        flags.forEach(flag => identities.forEach(person => {
+            const matchedOn = [];
+            if (flag.aadhaarHash && flag.aadhaarHash === person.aadhaarHash) matchedOn.push('aadhaar');
+            if (flag.mobile && flag.mobile === person.mobile) matchedOn.push('mobile');
+            if (matchedOn.length > 0) {
+                matches.push({
+                    flagId: flag._id,
+                    guestName: person.name,
+                    matchedOn,
+                    category: flag.category,
+                    severity: flag.severity,
+                    reason: flag.reason,
+                    flaggedAt: flag.createdAt
+                });
+            }
+        }));
+        matches.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+
+        return { matches, blocked: matches.some(match => match.severity === 'high') };
+    }
+
+    // Screen the main guest and every additional guest on a booking
+    screenBooking(booking) {
+        return this.screen([
+            { name: booking.customerName, mobile: booking.customerMobile, aadhaar: booking.customerAadhaar },
+            ...(booking.additionalGuests || [])
+        ]);
+    }
+}
+
+module.exports = new WatchlistService();
@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Keys are read from the environment when the config is loaded
+process.env.AADHAAR_ENCRYPTION_KEY = 'a'.repeat(64);
+process.env.AADHAAR_HASH_KEY = 'b'.repeat(64);
+
+const hotelConfig = require('../config/hotel');
+const {
+    assertAadhaarKeys,
+    isEncrypted,
+    encryptAadhaar,
+    decryptAadhaar,
+    hashAadhaar,
+    maskStoredAadhaar,
+    maskAadhaarFields
+} = require('../utils/aadhaar');
+
+describe('Aadhaar encryption', () => {
+    it('encrypts to the versioned stored form and decrypts back to the formatted number', () => {
+        const stored = encryptAadhaar('123456789012');
+
+        assert.equal(isEncrypted(stored), true);
+        assert.match(stored, /^enc:v1:/);
+        assert.equal(stored.includes('9012'), false);
+        assert.equal(decryptAadhaar(stored), '1234-5678-9012');
+    });
+
+    it('uses a fresh IV for every encryption', () => {
+        assert.notEqual(encryptAadhaar('1234-5678-9012'), encryptAadhaar('1234-5678-9012'));
+    });
+
+    it('passes empty, encrypted and legacy plain values through', () => {
+        const stored = encryptAadhaar('1234-5678-9012');
+
+        assert.equal(encryptAadhaar(''), '');
+        assert.equal(encryptAadhaar(stored), stored);
+        assert.equal(decryptAadhaar('1234-5678-9012'), '1234-5678-9012');
+    });
+
+    it('rejects tampered ciphertext', () => {
+        const stored = encryptAadhaar('1234-5678-9012');
+        const parts = stored.split(':');
+        parts[4] = Buffer.from('0000-0000-0000').toString('base64');
+
+        assert.throws(() => decryptAadhaar(parts.join(':')));
+    });
+});
+
+describe('Aadhaar hashing and masking', () => {
+    it('hashes the digits, so formatting and encryption do not change the hash', () => {
+        const hash = hashAadhaar('1234-5678-9012');
+
+        assert.match(hash, /^[0-9a-f]{64}$/);
+        assert.equal(hashAadhaar('123456789012'), hash);
+        assert.equal(hashAadhaar(encryptAadhaar('1234 5678 9012')), hash);
+        assert.notEqual(hashAadhaar('1234-5678-9013'), hash);
+        assert.equal(hashAadhaar(''), null);
+    });
+
+    it('masks stored, plain and already masked numbers', () => {
+        assert.equal(maskStoredAadhaar(encryptAadhaar('1234-5678-9012')), 'XXXX-XXXX-9012');
+        assert.equal(maskStoredAadhaar('123456789012'), 'XXXX-XXXX-9012');
+        assert.equal(maskStoredAadhaar('XXXX-XXXX-9012'), 'XXXX-XXXX-9012');
+        assert.equal(maskStoredAadhaar(undefined), undefined);
+    });
+
+    it('masks a document and its additional guests and drops the lookup hashes', () => {
+        const doc = maskAadhaarFields({
+            customerName: 'Guest',
+            customerAadhaar: encryptAadhaar('1234-5678-9012'),
+            customerAadhaarHash: 'hash',
+            additionalGuests: [{ name: 'Second', aadhaar: '2222-3333-4444', aadhaarHash: 'hash' }]
+        });
+
+        assert.deepEqual(doc, {
+            customerName: 'Guest',
+            customerAadhaar: 'XXXX-XXXX-9012',
+            additionalGuests: [{ name: 'Second', aadhaar: 'XXXX-XXXX-4444' }]
+        });
+    });
+});
+
+describe('assertAadhaarKeys', () => {
+    it('accepts 32-byte hex keys', () => {
+        assert.doesNotThrow(assertAadhaarKeys);
+    });
+
+    it('names the key that is missing or malformed', () => {
+        const { encryptionKey } = hotelConfig.aadhaar;
+        hotelConfig.aadhaar.encryptionKey = 'abcd';
+        try {
+            assert.throws(assertAadhaarKeys, /AADHAAR_ENCRYPTION_KEY must be 64 hex characters/);
+        } finally {
+            hotelConfig.aadhaar.encryptionKey = encryptionKey;
+        }
+    });
+});
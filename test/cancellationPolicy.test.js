@@ -0,0 +1,91 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const hotelConfig = require('../config/hotel');
+const cancellationPolicy = require('../services/cancellationPolicy');
+
+const HOUR_MS = 1000 * 60 * 60;
+const cancelledAt = new Date(2026, 0, 10, 12, 0);
+const hoursAfterCancelling = (hours) => new Date(cancelledAt.getTime() + hours * HOUR_MS);
+
+// Two nights at 2000, arriving at the standard check-in time
+const nightlyBooking = (hoursBeforeCheckIn) => {
+    const checkIn = hoursAfterCancelling(hoursBeforeCheckIn);
+    return {
+        pricingMode: 'nightly',
+        rent: 2000,
+        checkIn,
+        checkOut: new Date(checkIn.getTime() + 47 * HOUR_MS)
+    };
+};
+
+describe('cancellation fees', () => {
+    const defaultPolicy = hotelConfig.cancellationPolicy;
+
+    afterEach(() => {
+        hotelConfig.cancellationPolicy = defaultPolicy;
+    });
+
+    it('is free when cancelled before the free cancellation window closes', () => {
+        const result = cancellationPolicy.calculateFee(nightlyBooking(48), cancelledAt);
+
+        assert.equal(result.fee, 0);
+        assert.equal(result.chargeNights, 0);
+        assert.equal(result.hoursBeforeCheckIn, 48);
+        assert.equal(result.rule, '0 night(s) charged for cancellation 24h or more before check-in');
+    });
+
+    it('charges a night for late cancellations, including after the check-in time', () => {
+        for (const hours of [10, -3]) {
+            const result = cancellationPolicy.calculateFee(nightlyBooking(hours), cancelledAt);
+
+            assert.equal(result.fee, 2000);
+            assert.equal(result.chargeNights, 1);
+            assert.equal(result.rule, '1 night(s) charged for late cancellation');
+        }
+    });
+
+    it('applies the rule with the latest window the cancellation still meets, whatever the order', () => {
+        hotelConfig.cancellationPolicy = [
+            { minHoursBeforeCheckIn: -Infinity, chargeNights: 2 },
+            { minHoursBeforeCheckIn: 72, chargeNights: 0 },
+            { minHoursBeforeCheckIn: 24, chargeNights: 1 }
+        ];
+
+        assert.equal(cancellationPolicy.calculateFee(nightlyBooking(100), cancelledAt).fee, 0);
+        assert.equal(cancellationPolicy.calculateFee(nightlyBooking(48), cancelledAt).fee, 2000);
+        assert.equal(cancellationPolicy.calculateFee(nightlyBooking(5), cancelledAt).fee, 4000);
+    });
+
+    it('never charges more nights than were booked', () => {
+        hotelConfig.cancellationPolicy = [{ minHoursBeforeCheckIn: -Infinity, chargeNights: 5 }];
+
+        const result = cancellationPolicy.calculateFee(nightlyBooking(5), cancelledAt);
+
+        assert.equal(result.chargeNights, 2);
+        assert.equal(result.fee, 4000);
+    });
+
+    it('charges short stays at most the booked stay price', () => {
+        const checkIn = hoursAfterCancelling(2);
+        const booking = {
+            pricingMode: 'hourly',
+            rent: 300,
+            checkIn,
+            checkOut: new Date(checkIn.getTime() + 4 * HOUR_MS)
+        };
+
+        const result = cancellationPolicy.calculateFee(booking, cancelledAt);
+
+        assert.equal(result.chargeNights, 1);
+        assert.equal(result.fee, 1200);
+    });
+
+    it('charges nothing when no policy is configured', () => {
+        hotelConfig.cancellationPolicy = [];
+
+        const result = cancellationPolicy.calculateFee(nightlyBooking(5), cancelledAt);
+
+        assert.equal(result.fee, 0);
+        assert.equal(result.rule, 'No policy configured');
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    formatAadhaar,
+    maskAadhaar,
+    isValidAadhaar,
+    isValidGstin,
+    isValidMobile,
+    calculateBillableUnits,
+    calculateStaySurcharges,
+    getStayNights,
+    calculateDays,
+    parseDateKey,
+    formatDateKey,
+    getPagination,
+    sendResponse
+} = require('../utils/helpers');
+
+// Local time, so the tests hold in any timezone (January avoids DST changes)
+const at = (day, hours, minutes = 0) => new Date(2026, 0, day, hours, minutes);
+
+describe('Aadhaar, GSTIN and mobile helpers', () => {
+    it('formats and masks 12-digit Aadhaar numbers', () => {
+        assert.equal(formatAadhaar('123412341234'), '1234-1234-1234');
+        assert.equal(formatAadhaar('1234'), '1234');
+        assert.equal(maskAadhaar('1234 5678 9012'), 'XXXX-XXXX-9012');
+        assert.equal(maskAadhaar('12345'), '');
+        assert.equal(maskAadhaar(null), '');
+    });
+
+    it('validates Aadhaar, GSTIN and mobile formats', () => {
+        assert.equal(isValidAadhaar('1234-5678-9012'), true);
+        assert.equal(isValidAadhaar('123456789012'), false);
+        assert.equal(isValidGstin('27AAPFU0939F1ZV'), true);
+        assert.equal(isValidGstin('27aapfu0939f1zv'), false);
+        assert.equal(isValidMobile('9876543210'), true);
+        assert.equal(isValidMobile('98765'), false);
+    });
+});
+
+describe('stay pricing', () => {
+    it('counts nights between the standard check-in and check-out times', () => {
+        assert.equal(calculateBillableUnits(at(10, 12), at(12, 11)), 2);
+        assert.equal(calculateDays(at(10, 12), at(12, 11)), 2);
+        assert.deepEqual(calculateStaySurcharges(at(10, 12), at(12, 11), 2000), []);
+    });
+
+    it('charges early arrival and late departure as a share of the rent', () => {
+        const surcharges = calculateStaySurcharges(at(10, 8), at(12, 14), 2000);
+
+        assert.equal(calculateBillableUnits(at(10, 8), at(12, 14)), 2);
+        assert.deepEqual(surcharges, [
+            { type: 'early-check-in', hours: 4, percentOfRent: 50, amount: 1000 },
+            { type: 'late-check-out', hours: 3, percentOfRent: 50, amount: 1000 }
+        ]);
+    });
+
+    it('ignores arrivals within the grace period', () => {
+        assert.deepEqual(calculateStaySurcharges(at(10, 11, 40), at(12, 11), 2000), []);
+    });
+
+    it('bills the previous night for very early arrivals', () => {
+        assert.equal(calculateBillableUnits(at(10, 5), at(12, 11)), 3);
+        assert.deepEqual(getStayNights(at(10, 5), at(12, 11)), [at(9, 0), at(10, 0), at(11, 0)]);
+        assert.deepEqual(calculateStaySurcharges(at(10, 5), at(12, 11), 2000), []);
+    });
+
+    it('bills at least the minimum units for each pricing mode', () => {
+        assert.equal(calculateBillableUnits(at(10, 14), at(10, 16), 'hourly'), 3);
+        assert.equal(calculateBillableUnits(at(10, 14), at(10, 19, 30), 'hourly'), 6);
+        assert.equal(calculateBillableUnits(at(10, 8), at(10, 21), 'day-use'), 2);
+        assert.equal(calculateDays(at(10, 12), at(10, 18), 'hourly'), 0.25);
+    });
+});
+
+describe('date keys', () => {
+    it('parses YYYY-MM-DD as local midnight', () => {
+        assert.deepEqual(parseDateKey('2026-01-10'), at(10, 0));
+        assert.equal(formatDateKey(at(10, 23, 59)), '2026-01-10');
+    });
+
+    it('rejects malformed and impossible dates', () => {
+        assert.equal(parseDateKey('2026-02-30'), null);
+        assert.equal(parseDateKey('10-01-2026'), null);
+        assert.equal(parseDateKey(undefined), null);
+    });
+});
+
+describe('getPagination', () => {
+    it('defaults to the first page of 10 and computes the offset', () => {
+        assert.deepEqual(getPagination(), { page: 1, limit: 10, skip: 0 });
+        assert.deepEqual(getPagination('3', '25'), { page: 3, limit: 25, skip: 50 });
+    });
+});
+
+describe('sendResponse', () => {
+    const fakeResponse = () => {
+        const res = {};
+        res.status = (code) => { res.statusCode = code; return res; };
+        res.json = (body) => { res.body = body; return res; };
+        return res;
+    };
+
+    it('sends data and pagination only when given', () => {
+        const res = fakeResponse();
+        sendResponse(res, 404, false, 'Room not found');
+        assert.equal(res.statusCode, 404);
+        assert.deepEqual(res.body, { success: false, message: 'Room not found' });
+
+        sendResponse(res, 200, true, 'OK', { rooms: [] }, { page: 1 });
+        assert.deepEqual(res.body, { success: true, message: 'OK', data: { rooms: [] }, pagination: { page: 1 } });
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const RazorpayGateway = require('../services/paymentGateways/razorpay');
+
+const gateway = new RazorpayGateway({
+    apiUrl: 'http://localhost:4010/v1/',
+    keyId: 'rzp_test_key',
+    keySecret: 'key-secret',
+    webhookSecret: 'webhook-secret',
+    currency: 'INR'
+});
+
+const sign = (body, secret = 'webhook-secret') =>
+    crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+describe('Razorpay webhook signature', () => {
+    const rawBody = Buffer.from(JSON.stringify({ event: 'payment.captured' }));
+
+    it('accepts a body signed with the webhook secret', () => {
+        assert.equal(gateway.verifyWebhookSignature(rawBody, sign(rawBody)), true);
+    });
+
+    it('rejects a wrong secret, a changed body and a missing signature', () => {
+        assert.equal(gateway.verifyWebhookSignature(rawBody, sign(rawBody, 'other-secret')), false);
+        assert.equal(gateway.verifyWebhookSignature(Buffer.from('{"event":"order.paid"}'), sign(rawBody)), false);
+        assert.equal(gateway.verifyWebhookSignature(rawBody, 'abc'), false);
+        assert.equal(gateway.verifyWebhookSignature(rawBody, undefined), false);
+    });
+
+    it('rejects every delivery when no webhook secret is configured', () => {
+        const unconfigured = new RazorpayGateway({ apiUrl: 'http://localhost', currency: 'INR' });
+
+        assert.equal(unconfigured.verifyWebhookSignature(rawBody, sign(rawBody)), false);
+    });
+});
+
+describe('Razorpay webhook parsing', () => {
+    it('normalises a captured payment, converting paise to rupees', () => {
+        const event = gateway.parseWebhook({ 'x-razorpay-event-id': 'evt_1' }, {
+            event: 'payment.captured',
+            payload: {
+                payment: {
+                    entity: { id: 'pay_1', order_id: 'order_1', amount: 150050, currency: 'INR', method: 'upi' }
+                }
+            }
+        });
+
+        assert.deepEqual(event, {
+            eventId: 'evt_1',
+            event: 'payment.captured',
+            kind: 'paid',
+            orderId: 'order_1',
+            paymentId: 'pay_1',
+            amount: 1500.5,
+            currency: 'INR',
+            mode: 'upi',
+            error: undefined
+        });
+    });
+
+    it('reports failures and ignores events it does not handle', () => {
+        const failed = gateway.parseWebhook({}, {
+            event: 'payment.failed',
+            payload: { payment: { entity: { id: 'pay_2', order_id: 'order_2', method: 'wallet', error_description: 'Declined' } } }
+        });
+        const ignored = gateway.parseWebhook({}, { event: 'refund.created', payload: {} });
+
+        assert.equal(failed.kind, 'failed');
+        assert.equal(failed.mode, 'online');
+        assert.equal(failed.error, 'Declined');
+        assert.equal(ignored.kind, 'ignored');
+        assert.equal(ignored.amount, undefined);
+    });
+});
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { aadhaar: aadhaarConfig } = require('../config/hotel');
+const { formatAadhaar, maskAadhaar } = require('./helpers');
+
+// Stored form of an encrypted number: enc:v1:<iv>:<auth tag>:<ciphertext>, base64 parts
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const MASKED_PATTERN = /^XXXX-XXXX-\d{4}$/;
+
+// Fields holding Aadhaar numbers and their lookup hashes, wherever they are stored
+const AADHAAR_FIELDS = ['aadhaar', 'customerAadhaar'];
+const HASH_FIELDS = ['aadhaarHash', 'customerAadhaarHash'];
+
+const keyFrom = (hex, name) => {
+    const key = Buffer.from(hex || '', 'hex');
+    if (key.length !== 32) {
+        const error = new Error(`Aadhaar encryption is not configured: ${name} must be 64 hex characters`);
+        error.statusCode = 500;
+        throw error;
+    }
+    return key;
+};
+
+// Throw when either key is missing or malformed; checked once at startup so a bad
+// configuration stops the server instead of failing every save that carries an Aadhaar
+const assertAadhaarKeys = () => {
+    keyFrom(aadhaarConfig.encryptionKey, 'AADHAAR_ENCRYPTION_KEY');
+    keyFrom(aadhaarConfig.hashKey, 'AADHAAR_HASH_KEY');
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+
+// Encrypt an Aadhaar number for storage; empty and already encrypted values pass through
+const encryptAadhaar = (value) => {
+    if (!value || isEncrypted(value)) {
+        return value;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', keyFrom(aadhaarConfig.encryptionKey, 'AADHAAR_ENCRYPTION_KEY'), iv);
+    const ciphertext = Buffer.concat([cipher.update(formatAadhaar(String(value)), 'utf8'), cipher.final()]);
+    return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+// Decrypt a stored Aadhaar number. Values stored before encryption are returned as they are.
+const decryptAadhaar = (value) => {
+    if (!isEncrypted(value)) {
+        return value;
+    }
+
+    const [iv, authTag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', keyFrom(aadhaarConfig.encryptionKey, 'AADHAAR_ENCRYPTION_KEY'), iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// Keyed hash of the number's digits, for exact lookups without decrypting
+const hashAadhaar = (value) => {
+    const digits = (decryptAadhaar(value) || '').replace(/\D/g, '');
+    if (!digits) {
+        return null;
+    }
+    return crypto.createHmac('sha256', keyFrom(aadhaarConfig.hashKey, 'AADHAAR_HASH_KEY')).update(digits).digest('hex');
+};
+
+// Masked form (XXXX-XXXX-1234) of a stored, plain or already masked number
+const maskStoredAadhaar = (value) => {
+    if (!value || MASKED_PATTERN.test(value)) {
+        return value;
+    }
+    return maskAadhaar(decryptAadhaar(value));
+};
+
+// Schema path for an Aadhaar number: assigned and read as the plain number, but
+// stored encrypted. Plain objects (toJSON, lean, aggregate) hold the stored form.
+const aadhaarPath = (options = {}) => ({
+    type: String,
+    set: encryptAadhaar,
+    get: decryptAadhaar,
+    ...options
+});
+
+// Mask the Aadhaar numbers and drop the lookup hashes of a plain document (and its
+// additional guests) before it is sent; used as a toJSON transform and on aggregates
+const maskAadhaarFields = (ret) => {
+    if (!ret || typeof ret !== 'object') {
+        return ret;
+    }
+    AADHAAR_FIELDS.forEach(field => {
+        if (ret[field]) ret[field] = maskStoredAadhaar(ret[field]);
+    });
+    HASH_FIELDS.forEach(field => {
+        delete ret[field];
+    });
+    if (Array.isArray(ret.additionalGuests)) {
+        ret.additionalGuests.forEach(maskAadhaarFields);
+    }
+    return ret;
+};
+
+module.exports = {
+    assertAadhaarKeys,
+    isEncrypted,
+    encryptAadhaar,
+    decryptAadhaar,
+    hashAadhaar,
+    maskStoredAadhaar,
+    aadhaarPath,
+    maskAadhaarFields
+};
@@ -1,3 +1,5 @@
+const hotelConfig = require('../config/hotel');
+
 // Generate unique serial number
 const generateSerialNo = () => {
     const timestamp = Date.now().toString();
@@ -21,24 +23,155 @@ const formatAadhaar = (aadhaar) => {
     return aadhaar;
 };
 
+// Mask an Aadhaar number down to its last four digits
+const maskAadhaar = (aadhaar) => {
+    const cleaned = (aadhaar || '').replace(/\D/g, '');
+    return cleaned.length === 12 ? `XXXX-XXXX-${cleaned.slice(8)}` : '';
+};
+
 // Validate Aadhaar number
 const isValidAadhaar = (aadhaar) => {
     const aadhaarRegex = /^[0-9]{4}-[0-9]{4}-[0-9]{4}$/;
     return aadhaarRegex.test(aadhaar);
 };
 
+// Validate GSTIN (2-digit state code, PAN, entity number, 'Z', checksum character)
+const isValidGstin = (gstin) => {
+    const gstinRegex = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+    return gstinRegex.test(gstin);
+};
+
 // Validate mobile number
 const isValidMobile = (mobile) => {
     const mobileRegex = /^[0-9]{10}$/;
     return mobileRegex.test(mobile);
 };
 
-// Calculate days between two dates (minimum 1 day for same-day checkout)
-const calculateDays = (checkIn, checkOut) => {
+const HOUR_MS = 1000 * 3600;
+const DAY_MS = HOUR_MS * 24;
+
+// Set a date's local time of day from an HH:mm string
+const atTimeOfDay = (date, time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    const result = new Date(date);
+    result.setHours(hours, minutes || 0, 0, 0);
+    return result;
+};
+
+// Local midnight of a date
+const startOfDay = (date) => {
+    const d = new Date(date);
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+};
+
+// Count nights against the hotel's standard check-in/check-out times and work out
+// how many hours early the guest arrived and how late they left
+const countNights = (checkIn, checkOut) => {
+    const { checkInTime, checkOutTime, earlyCheckIn, lateCheckOut } = hotelConfig.stayTimes;
+    const arrival = new Date(checkIn);
+    const departure = new Date(checkOut);
+
+    let arrivalDay = startOfDay(arrival);
+    let earlyHours = (atTimeOfDay(arrival, checkInTime) - arrival) / HOUR_MS;
+    if (earlyHours > earlyCheckIn.maxHours) {
+        // Arrived so early that the previous night is being used
+        arrivalDay = new Date(arrivalDay.getFullYear(), arrivalDay.getMonth(), arrivalDay.getDate() - 1);
+        earlyHours = 0;
+    }
+
+    let departureDay = startOfDay(departure);
+    let lateHours = (departure - atTimeOfDay(departure, checkOutTime)) / HOUR_MS;
+    if (lateHours > lateCheckOut.maxHours) {
+        // Left so late that the following night is being used
+        departureDay = new Date(departureDay.getFullYear(), departureDay.getMonth(), departureDay.getDate() + 1);
+        lateHours = 0;
+    }
+
+    return {
+        arrivalDay,
+        nights: Math.round((departureDay - arrivalDay) / DAY_MS),
+        earlyHours: earlyHours * 60 > earlyCheckIn.graceMinutes ? earlyHours : 0,
+        lateHours: lateHours * 60 > lateCheckOut.graceMinutes ? lateHours : 0
+    };
+};
+
+// Calculate billable units between two dates for a pricing mode (nights, hours or day-use blocks)
+const calculateBillableUnits = (checkIn, checkOut, pricingMode = 'nightly') => {
+    const mode = hotelConfig.pricingModes[pricingMode] || hotelConfig.pricingModes.nightly;
+
+    if (pricingMode === 'nightly' || !hotelConfig.pricingModes[pricingMode]) {
+        // Ensure the minimum charge (e.g. 1 night for same-day checkout)
+        return Math.max(countNights(checkIn, checkOut).nights, mode.minUnits);
+    }
+
+    const timeDiff = new Date(checkOut) - new Date(checkIn);
+    const units = Math.ceil(timeDiff / (HOUR_MS * mode.unitHours));
+    return Math.max(units, mode.minUnits);
+};
+
+// List the billed nights of a nightly stay, as local midnight of each night's date
+const getStayNights = (checkIn, checkOut) => {
+    const { arrivalDay, nights } = countNights(checkIn, checkOut);
+    const billedNights = Math.max(nights, hotelConfig.pricingModes.nightly.minUnits);
+    return Array.from({ length: billedNights }, (_, index) =>
+        new Date(arrivalDay.getFullYear(), arrivalDay.getMonth(), arrivalDay.getDate() + index));
+};
+
+// Calculate early check-in and late checkout surcharges for a nightly stay.
+// Stays already billed at the minimum (shorter than a standard night) carry no surcharges.
+const calculateStaySurcharges = (checkIn, checkOut, rent) => {
+    const { earlyCheckIn, lateCheckOut } = hotelConfig.stayTimes;
+    const { nights, earlyHours, lateHours } = countNights(checkIn, checkOut);
+    const surcharges = [];
+
+    if (nights < hotelConfig.pricingModes.nightly.minUnits) {
+        return surcharges;
+    }
+
+    if (earlyHours > 0) {
+        surcharges.push({
+            type: 'early-check-in',
+            hours: Math.ceil(earlyHours),
+            percentOfRent: earlyCheckIn.percentOfRent,
+            amount: Math.round(rent * earlyCheckIn.percentOfRent) / 100
+        });
+    }
+    if (lateHours > 0) {
+        surcharges.push({
+            type: 'late-check-out',
+            hours: Math.ceil(lateHours),
+            percentOfRent: lateCheckOut.percentOfRent,
+            amount: Math.round(rent * lateCheckOut.percentOfRent) / 100
+        });
+    }
+
+    return surcharges;
+};
+
+// Calculate days between two dates; nightly stays count billed nights,
+// short stays count the fraction of a day actually used
+const calculateDays = (checkIn, checkOut, pricingMode = 'nightly') => {
+    if (pricingMode === 'nightly') {
+        return calculateBillableUnits(checkIn, checkOut, 'nightly');
+    }
     const timeDiff = new Date(checkOut) - new Date(checkIn);
-    const days = Math.ceil(timeDiff / (1000 * 3600 * 24));
-    // Ensure minimum 1 day for same-day checkout
-    return Math.max(days, 1);
+    return Math.round((timeDiff / DAY_MS) * 100) / 100;
+};
+
+// Parse a YYYY-MM-DD string as local midnight (returns null when invalid)
+const parseDateKey = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return date.getDate() === Number(match[3]) ? date : null;
+};
+
+// Format a date as a local YYYY-MM-DD key
+const formatDateKey = (date) => {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
 };
 
 // Get date range for last 2 years
@@ -87,9 +220,17 @@ module.exports = {
     generateSerialNo,
     generateEntryNo,
     formatAadhaar,
+    maskAadhaar,
     isValidAadhaar,
+    isValidGstin,
     isValidMobile,
+    calculateBillableUnits,
+    calculateStaySurcharges,
+    getStayNights,
     calculateDays,
+    parseDateKey,
+    formatDateKey,
+    startOfDay,
     getTwoYearsDateRange,
     formatCurrency,
     getPagination,